@@ -33,17 +33,65 @@ const connectDB = async () => {
     // Import models to register them
     const UserModule = await import('../models/User.js');
     const UsageLogModule = await import('../models/UsageLog.js');
+    const UsageSessionModule = await import('../models/UsageSession.js');
+    const RegretSnapshotModule = await import('../models/RegretSnapshot.js');
+    const AppLimitModule = await import('../models/AppLimit.js');
+    const GoalModule = await import('../models/Goal.js');
+    const AppModule = await import('../models/App.js');
+    const RiskSnapshotModule = await import('../models/RiskSnapshot.js');
+    const DailyUsageRollupModule = await import('../models/DailyUsageRollup.js');
+    const InterventionModule = await import('../models/Intervention.js');
     
     const User = UserModule.default;
     const UsageLog = UsageLogModule.default;
+    const UsageSession = UsageSessionModule.default;
+    const RegretSnapshot = RegretSnapshotModule.default;
+    const AppLimit = AppLimitModule.default;
+    const Goal = GoalModule.default;
+    const App = AppModule.default;
+    const RiskSnapshot = RiskSnapshotModule.default;
+    const DailyUsageRollup = DailyUsageRollupModule.default;
+    const Intervention = InterventionModule.default;
 
     // Define associations
     User.hasMany(UsageLog, { foreignKey: 'userId', as: 'usageLogs' });
     UsageLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    User.hasMany(UsageSession, { foreignKey: 'userId', as: 'usageSessions' });
+    UsageSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    User.hasMany(RegretSnapshot, { foreignKey: 'userId', as: 'regretSnapshots' });
+    RegretSnapshot.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    User.hasMany(AppLimit, { foreignKey: 'userId', as: 'appLimits' });
+    AppLimit.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    User.hasMany(Goal, { foreignKey: 'userId', as: 'goals' });
+    Goal.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    App.hasMany(UsageLog, { foreignKey: 'appId', as: 'usageLogs' });
+    UsageLog.belongsTo(App, { foreignKey: 'appId', as: 'app' });
+    User.hasMany(RiskSnapshot, { foreignKey: 'userId', as: 'riskSnapshots' });
+    RiskSnapshot.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    User.hasMany(DailyUsageRollup, { foreignKey: 'userId', as: 'dailyUsageRollups' });
+    DailyUsageRollup.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    User.hasMany(Intervention, { foreignKey: 'userId', as: 'interventions' });
+    Intervention.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    // Logs saved before UsageLog.source existed are marked by their session count instead
+    const usageLogColumns = await sequelize.getQueryInterface().describeTable('usage_logs').catch(() => null);
 
     // Sync models (disable alter:true in production)
     await sequelize.sync({ alter: true });
     console.log('📦 Database synchronized');
+
+    if (usageLogColumns && !usageLogColumns.source) {
+      await UsageLog.update(
+        { source: 'sessions' },
+        { where: { sessionCount: { [Sequelize.Op.ne]: null } } }
+      );
+    }
+
+    await App.seedDefaults();
+    console.log('📱 App catalog ready');
+
+    await DailyUsageRollup.backfill();
+    console.log('📊 Daily usage rollups ready');
   } catch (error) {
     console.error('❌ Unable to connect to the database:', error.message);
     if (process.env.NODE_ENV === 'development') {
@@ -1,4 +1,8 @@
 import UsageLog from '../models/UsageLog.js';
+import RegretSnapshot from '../models/RegretSnapshot.js';
+import AppLimit from '../models/AppLimit.js';
+import App from '../models/App.js';
+import DailyUsageRollup from '../models/DailyUsageRollup.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { Op, fn, col, literal } from 'sequelize';
 import {
@@ -6,13 +10,106 @@ import {
   calculateWeeklyStats,
   calculateMonthlyStats,
   calculateRiskScore,
-  getTimeSeriesData
+  calculateRiskScoreReductions,
+  calculateLateNightFrequency,
+  calculateLateNightFrequencyFromCounts,
+  calculateCategoryBreakdown,
+  getTimeSeriesData,
+  calculateAppAnalytics,
+  APP_ANALYTICS_DAYS,
+  LATE_NIGHT_START_HOUR,
+  LATE_NIGHT_END_HOUR
 } from '../utils/analyticsEngine.js';
+import { buildMirrorInsights } from '../utils/mirrorAnalysis.js';
+import {
+  analyzeRegretPatterns,
+  generateFutureLetter,
+  generateRegretList
+} from '../utils/regretAnalysis.js';
+import { analyzeDigitalHonesty, calculateDigitalHonestyScore } from '../../../shared/honestyScore.js';
+import { calculateLimitBudgets } from '../utils/limitTracker.js';
+import {
+  TIME_SERIES_PERIODS,
+  getUserTimezone,
+  getUserWeekStart,
+  getToday,
+  daysAgo,
+  toDateKey
+} from '../utils/dateUtils.js';
 import {
   generateRecommendations,
   getMotivationalMessage
 } from '../utils/recommendations.js';
 
+/**
+ * Read a user's daily usage rollups for a date range, oldest first
+ * Each day is shaped like a log ({ date, minutesSpent }) so the analytics engine
+ * can use it wherever only daily totals matter
+ * @param {Number} userId - User ID
+ * @param {String} startDate - First day (YYYY-MM-DD)
+ * @param {String} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array} Days with totals and entry counts
+ */
+const getDailyTotals = async (userId, startDate, endDate) => {
+  const rollups = await DailyUsageRollup.findAll({
+    where: {
+      userId,
+      date: { [Op.between]: [startDate, endDate] }
+    },
+    order: [['date', 'ASC']]
+  });
+
+  return rollups.map(rollup => ({
+    date: rollup.date,
+    minutesSpent: parseFloat(rollup.totalMinutes),
+    entryCount: rollup.entryCount,
+    timedEntryCount: rollup.timedEntryCount,
+    lateNightCount: rollup.lateNightCount
+  }));
+};
+
+/**
+ * Total minutes per app over a date range, grouped in SQL, largest first
+ * Logs of catalog apps count under the catalog name and category
+ * @param {Number} userId - User ID
+ * @param {String} startDate - First day (YYYY-MM-DD)
+ * @param {String} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array} Apps shaped like logs ({ appName, category, minutesSpent })
+ */
+const sumUsageByApp = async (userId, startDate, endDate) => {
+  const appName = fn('COALESCE', col('app.name'), col('UsageLog.app_name'));
+  const category = fn('COALESCE', col('app.category'), 'other');
+
+  const rows = await UsageLog.findAll({
+    where: {
+      userId,
+      date: { [Op.between]: [startDate, endDate] }
+    },
+    attributes: [
+      [appName, 'appName'],
+      [category, 'appCategory'],
+      [fn('SUM', col('UsageLog.minutes_spent')), 'minutes']
+    ],
+    include: [{ model: App, as: 'app', attributes: [] }],
+    group: [appName, category],
+    order: [[literal('minutes'), 'DESC']],
+    raw: true
+  });
+
+  return rows.map(row => ({
+    appName: row.appName,
+    category: row.appCategory,
+    minutesSpent: parseFloat(row.minutes)
+  }));
+};
+
+/**
+ * App list for stats responses
+ * @param {Array} apps - Result of sumUsageByApp
+ * @returns {Array} Apps as { name, minutes }
+ */
+const toAppList = (apps) => apps.map(app => ({ name: app.appName, minutes: app.minutesSpent }));
+
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get comprehensive dashboard analytics
@@ -20,73 +117,43 @@ import {
  */
 export const getDashboard = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const sevenDaysAgo = new Date(today);
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-  const thirtyDaysAgo = new Date(today);
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-  // Convert dates to strings for Sequelize
-  const todayStr = today.toISOString().split('T')[0];
-  const sevenDaysAgoStr = sevenDaysAgo.toISOString().split('T')[0];
-  const thirtyDaysAgoStr = thirtyDaysAgo.toISOString().split('T')[0];
-
-  // Fetch logs for different periods
-  const [todayLogs, weeklyLogs, monthlyLogs, allRecentLogs] = await Promise.all([
-    UsageLog.findAll({
-      where: {
-        userId,
-        date: { [Op.gte]: todayStr }
-      }
-    }),
-    UsageLog.findAll({
-      where: {
-        userId,
-        date: { [Op.gte]: sevenDaysAgoStr }
-      }
-    }),
-    UsageLog.findAll({
-      where: {
-        userId,
-        date: { [Op.gte]: thirtyDaysAgoStr }
-      }
-    }),
-    UsageLog.findAll({
-      where: {
-        userId,
-        date: { [Op.gte]: thirtyDaysAgoStr }
-      },
-      order: [['date', 'DESC']],
-      limit: 100
+  const timezone = getUserTimezone(req.user);
+
+  // Day boundaries follow the user's timezone, not the server clock
+  const todayStr = getToday(timezone);
+  const sevenDaysAgoStr = daysAgo(7, timezone);
+  const thirtyDaysAgoStr = daysAgo(30, timezone);
+
+  // Daily totals come from the rollups; per-app totals are grouped in SQL
+  const [monthlyDays, todayApps, weeklyApps, limits] = await Promise.all([
+    getDailyTotals(userId, thirtyDaysAgoStr, todayStr),
+    sumUsageByApp(userId, todayStr, todayStr),
+    sumUsageByApp(userId, sevenDaysAgoStr, todayStr),
+    AppLimit.findAll({
+      where: { userId }
     })
   ]);
-
-  // Convert Sequelize instances to plain objects for analytics engine
-  const convertToPlain = (logs) => logs.map(log => ({
-    appName: log.appName,
-    minutesSpent: parseFloat(log.minutesSpent),
-    date: new Date(log.date)
-  }));
+  const weeklyDays = monthlyDays.filter(day => day.date >= sevenDaysAgoStr);
 
   // Calculate statistics
-  const dailyStats = calculateDailyStats(convertToPlain(todayLogs));
-  const weeklyStats = calculateWeeklyStats(convertToPlain(weeklyLogs));
-  const monthlyStats = calculateMonthlyStats(convertToPlain(monthlyLogs));
+  const dailyStats = calculateDailyStats(todayApps);
+  const weeklyStats = {
+    ...calculateWeeklyStats(weeklyDays),
+    apps: toAppList(weeklyApps)
+  };
+  const monthlyStats = calculateMonthlyStats(monthlyDays);
+  const lateNight = calculateLateNightFrequencyFromCounts(
+    monthlyDays.reduce((sum, day) => sum + day.lateNightCount, 0),
+    monthlyDays.reduce((sum, day) => sum + day.timedEntryCount, 0)
+  );
+  const categories = calculateCategoryBreakdown(weeklyApps);
+  const limitBudgets = calculateLimitBudgets(limits, todayApps);
 
   // Calculate peak minutes for the week
-  const dateMap = new Map();
-  convertToPlain(weeklyLogs).forEach(log => {
-    const dateKey = log.date.toISOString().split('T')[0];
-    const existing = dateMap.get(dateKey) || 0;
-    dateMap.set(dateKey, existing + log.minutesSpent);
-  });
-  const peakMinutes = Math.max(...Array.from(dateMap.values()), 0);
+  const peakMinutes = Math.max(...weeklyDays.map(day => day.minutesSpent), 0);
 
   // Calculate risk score
-  const riskScore = calculateRiskScore(convertToPlain(weeklyLogs), convertToPlain(monthlyLogs));
+  const riskScore = calculateRiskScore(weeklyDays);
 
   // Get recommendations
   const recommendations = generateRecommendations({
@@ -97,8 +164,15 @@ export const getDashboard = asyncHandler(async (req, res) => {
   });
 
   // Get time series data for charts
-  const dailyTimeSeries = getTimeSeriesData(convertToPlain(weeklyLogs), 'daily');
-  const weeklyTimeSeries = getTimeSeriesData(convertToPlain(monthlyLogs), 'weekly');
+  const dailyTimeSeries = getTimeSeriesData(weeklyDays, 'daily', {
+    startDate: sevenDaysAgoStr,
+    endDate: todayStr
+  });
+  const weeklyTimeSeries = getTimeSeriesData(monthlyDays, 'weekly', {
+    weekStart: getUserWeekStart(req.user),
+    startDate: thirtyDaysAgoStr,
+    endDate: todayStr
+  });
 
   res.json({
     success: true,
@@ -106,6 +180,7 @@ export const getDashboard = asyncHandler(async (req, res) => {
       daily: dailyStats,
       weekly: weeklyStats,
       monthly: monthlyStats,
+      lateNight,
       riskScore: {
         ...riskScore,
         message: getMotivationalMessage(riskScore.level)
@@ -114,7 +189,9 @@ export const getDashboard = asyncHandler(async (req, res) => {
         name: app.name,
         minutes: app.minutes
       })) || [],
+      categories,
       recommendations,
+      limits: limitBudgets,
       charts: {
         daily: dailyTimeSeries,
         weekly: weeklyTimeSeries
@@ -139,42 +216,58 @@ export const getStats = asyncHandler(async (req, res) => {
     });
   }
 
-  const start = new Date(startDate).toISOString().split('T')[0];
-  const end = new Date(endDate).toISOString().split('T')[0];
+  const timezone = getUserTimezone(req.user);
+  const start = toDateKey(startDate, timezone);
+  const end = toDateKey(endDate, timezone);
 
-  // Fetch logs
-  const logs = await UsageLog.findAll({
-    where: {
-      userId,
-      date: { [Op.between]: [start, end] }
-    },
-    order: [['date', 'DESC']]
-  });
+  if (!start || !end) {
+    return res.status(400).json({
+      success: false,
+      message: 'startDate and endDate must be valid dates'
+    });
+  }
 
-  // Convert to plain objects
-  const plainLogs = logs.map(log => ({
-    appName: log.appName,
-    minutesSpent: parseFloat(log.minutesSpent),
-    date: new Date(log.date)
-  }));
+  if (!TIME_SERIES_PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      message: `period must be one of: ${TIME_SERIES_PERIODS.join(', ')}`
+    });
+  }
+
+  const [days, apps] = await Promise.all([
+    getDailyTotals(userId, start, end),
+    sumUsageByApp(userId, start, end)
+  ]);
 
   // Calculate stats based on period
   let stats;
   if (period === 'daily') {
-    stats = calculateDailyStats(plainLogs);
+    // Average per entry, as when every log was read
+    const entryCount = days.reduce((sum, day) => sum + day.entryCount, 0);
+    const dailyStats = calculateDailyStats(apps);
+    stats = {
+      ...dailyStats,
+      averageMinutes: entryCount > 0 ? Math.round((dailyStats.totalMinutes / entryCount) * 100) / 100 : 0
+    };
   } else if (period === 'weekly') {
-    stats = calculateWeeklyStats(plainLogs);
+    stats = { ...calculateWeeklyStats(days), apps: toAppList(apps) };
   } else {
-    stats = calculateMonthlyStats(plainLogs);
+    // Totals and daily averages also cover quarters and years
+    stats = calculateMonthlyStats(days);
   }
 
-  // Get time series data
-  const timeSeries = getTimeSeriesData(plainLogs, period);
+  // Get time series data, with empty buckets for stretches without logs
+  const timeSeries = getTimeSeriesData(days, period, {
+    weekStart: getUserWeekStart(req.user),
+    startDate: start,
+    endDate: end
+  });
 
   res.json({
     success: true,
     data: {
       stats,
+      categories: calculateCategoryBreakdown(apps),
       timeSeries,
       period
     }
@@ -183,54 +276,251 @@ export const getStats = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/analytics/risk-score
- * @desc    Get current addiction risk score
+ * @desc    Get current addiction risk score, its factor breakdown and what would lower it
  * @access  Private
  */
 export const getRiskScore = asyncHandler(async (req, res) => {
   const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+
+  const todayStr = getToday(timezone);
+  const sevenDaysAgoStr = daysAgo(7, timezone);
 
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  sevenDaysAgo.setHours(0, 0, 0, 0);
+  // The score only needs daily totals, which the rollups already hold
+  const weeklyDays = await getDailyTotals(userId, sevenDaysAgoStr, todayStr);
+  const riskScore = calculateRiskScore(weeklyDays);
+
+  res.json({
+    success: true,
+    data: {
+      riskScore: {
+        ...riskScore,
+        message: getMotivationalMessage(riskScore.level)
+      },
+      toLowerScore: calculateRiskScoreReductions(weeklyDays)
+    }
+  });
+});
 
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  thirtyDaysAgo.setHours(0, 0, 0, 0);
+/**
+ * @route   GET /api/analytics/honesty
+ * @desc    Get the Digital Honesty Score with every penalty that lowered it
+ * @access  Private
+ */
+export const getHonesty = asyncHandler(async (req, res) => {
+  // The score looks at the whole logging history, so only the fields it scores are read
+  const logs = await UsageLog.findAll({
+    where: { userId: req.user.id },
+    attributes: ['appName', 'minutesSpent', 'date'],
+    order: [['date', 'ASC'], ['id', 'ASC']],
+    raw: true
+  });
 
-  const sevenDaysAgoStr = sevenDaysAgo.toISOString().split('T')[0];
-  const thirtyDaysAgoStr = thirtyDaysAgo.toISOString().split('T')[0];
+  res.json({
+    success: true,
+    data: analyzeDigitalHonesty(logs)
+  });
+});
 
-  const [weeklyLogs, monthlyLogs] = await Promise.all([
-    UsageLog.findAll({
-      where: {
-        userId,
-        date: { [Op.gte]: sevenDaysAgoStr }
-      }
-    }),
-    UsageLog.findAll({
-      where: {
-        userId,
-        date: { [Op.gte]: thirtyDaysAgoStr }
+/**
+ * @route   GET /api/analytics/apps/:appName
+ * @desc    Get one app's daily series, averages, trend, share of usage and weekday patterns
+ * @access  Private
+ */
+export const getAppAnalytics = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+  const todayStr = getToday(timezone);
+
+  // Aliases such as "IG" resolve to the catalog name the logs are analyzed under
+  const catalogApp = await App.resolve(req.params.appName);
+  const appName = catalogApp ? catalogApp.name : req.params.appName.trim();
+
+  // All apps are needed for the share of total usage and to tell untracked days apart
+  const logs = await UsageLog.findAll({
+    where: {
+      userId,
+      date: { [Op.gte]: daysAgo(APP_ANALYTICS_DAYS - 1, timezone) }
+    },
+    include: [{ model: App, as: 'app', attributes: ['name', 'category'] }]
+  });
+
+  const plainLogs = logs.map(log => ({
+    appName: log.app ? log.app.name : log.appName,
+    minutesSpent: parseFloat(log.minutesSpent),
+    date: log.date
+  }));
+  const appLogs = plainLogs.filter(log => log.appName.toLowerCase() === appName.toLowerCase());
+
+  if (appLogs.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: `No usage of ${appName} logged in the last ${APP_ANALYTICS_DAYS} days`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      appName,
+      category: catalogApp ? catalogApp.category : 'other',
+      ...calculateAppAnalytics(appLogs, plainLogs, todayStr)
+    }
+  });
+});
+
+/**
+ * @route   GET /api/analytics/mirror
+ * @desc    Get Digital Mirror insights (intention vs actual behavior)
+ * @access  Private
+ */
+export const getMirror = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+  const { startDate, endDate } = req.query;
+
+  if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'startDate and endDate must be valid dates'
+    });
+  }
+
+  const where = {
+    userId,
+    intention: { [Op.ne]: null },
+    foundIt: { [Op.ne]: null }
+  };
+
+  if (startDate || endDate) {
+    where.date = {};
+    if (startDate) where.date[Op.gte] = toDateKey(startDate, timezone);
+    if (endDate) where.date[Op.lte] = toDateKey(endDate, timezone);
+  }
+
+  // Group by intention in SQL so the analysis covers the full history
+  const groups = await UsageLog.findAll({
+    where,
+    attributes: [
+      [fn('LOWER', col('intention')), 'intention'],
+      [fn('COUNT', col('id')), 'count'],
+      [fn('SUM', literal('CASE WHEN found_it = 1 THEN 1 ELSE 0 END')), 'foundItCount'],
+      [fn('SUM', literal('CASE WHEN found_it = 0 THEN 1 ELSE 0 END')), 'notFoundCount'],
+      [fn('AVG', col('minutes_spent')), 'avgMinutes'],
+      [fn('SUM', literal(`CASE WHEN start_hour >= ${LATE_NIGHT_START_HOUR} OR start_hour < ${LATE_NIGHT_END_HOUR} THEN 1 ELSE 0 END`)), 'lateNightCount'],
+      [fn('SUM', literal('CASE WHEN session_count > 1 THEN 1 ELSE 0 END')), 'repeatedOpens']
+    ],
+    group: [fn('LOWER', col('intention'))],
+    raw: true
+  });
+
+  const insights = buildMirrorInsights(groups);
+  const entriesWithIntention = groups.reduce((sum, group) => sum + Number(group.count), 0);
+
+  res.json({
+    success: true,
+    data: {
+      insights,
+      entriesWithIntention,
+      startDate: startDate || null,
+      endDate: endDate || null
+    }
+  });
+});
+
+/**
+ * @route   GET /api/analytics/regret
+ * @desc    Get Future Regret analysis and store today's snapshot
+ * @access  Private
+ */
+export const getRegret = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const timezone = getUserTimezone(req.user);
+
+  const todayStr = getToday(timezone);
+  const sevenDaysAgoStr = daysAgo(7, timezone);
+  const thirtyDaysAgoStr = daysAgo(30, timezone);
+
+  // Use a rolling 30-day window so daily snapshots are comparable over time
+  const logs = await UsageLog.findAll({
+    where: {
+      userId,
+      date: { [Op.gte]: thirtyDaysAgoStr }
+    },
+    order: [['date', 'ASC']]
+  });
+
+  if (logs.length === 0) {
+    return res.json({
+      success: true,
+      data: {
+        analysis: null,
+        history: []
       }
-    })
-  ]);
+    });
+  }
 
-  // Convert to plain objects
-  const convertToPlain = (logs) => logs.map(log => ({
+  const plainLogs = logs.map(log => ({
     appName: log.appName,
     minutesSpent: parseFloat(log.minutesSpent),
-    date: new Date(log.date)
+    date: log.date,
+    startHour: log.startHour,
+    intention: log.intention,
+    foundIt: log.foundIt,
+    sessionCount: log.sessionCount
   }));
+  const weeklyLogs = plainLogs.filter(log => log.date >= sevenDaysAgoStr);
+
+  const weeklyStats = calculateWeeklyStats(weeklyLogs);
+  const riskScore = calculateRiskScore(weeklyLogs);
+
+  const entriesWithIntention = plainLogs.filter(log => log.intention && log.foundIt !== null);
+  const intentDriftFrequency = entriesWithIntention.length > 0
+    ? entriesWithIntention.filter(log => log.foundIt === false).length / entriesWithIntention.length
+    : 0;
+
+  const stats = {
+    dailyAvg: weeklyStats.averageDailyMinutes,
+    totalDays: new Set(plainLogs.map(log => log.date)).size,
+    lateNightFrequency: calculateLateNightFrequency(plainLogs).frequency,
+    intentDriftFrequency: Math.round(intentDriftFrequency * 100) / 100,
+    riskScoreTrend: weeklyStats.trend === 'increasing' ? 'increasing' :
+      riskScore.score > 60 ? 'stable_high' : 'stable',
+    honestyScore: calculateDigitalHonestyScore(plainLogs),
+    repeatedOpens: plainLogs.filter(log => (log.sessionCount || 0) > 1).length
+  };
 
-  const riskScore = calculateRiskScore(convertToPlain(weeklyLogs), convertToPlain(monthlyLogs));
+  const regretData = analyzeRegretPatterns(stats);
+
+  // One snapshot per day; re-running the analysis refreshes today's values
+  await RegretSnapshot.upsert({
+    userId,
+    snapshotDate: todayStr,
+    regretScore: regretData.regretScore,
+    regretLevel: regretData.regretLevel,
+    dominantType: regretData.dominantType,
+    regretTypes: regretData.regretTypes,
+    factors: stats
+  });
+
+  const history = await RegretSnapshot.findAll({
+    where: { userId },
+    attributes: ['snapshotDate', 'regretScore', 'regretLevel', 'dominantType'],
+    order: [['snapshotDate', 'DESC']],
+    limit: 90
+  });
 
   res.json({
     success: true,
     data: {
-      riskScore: {
-        ...riskScore,
-        message: getMotivationalMessage(riskScore.level)
-      }
+      analysis: {
+        ...regretData,
+        letter: generateFutureLetter(regretData, stats),
+        regretList: generateRegretList(regretData, stats),
+        stats
+      },
+      history: history.reverse()
     }
   });
 });
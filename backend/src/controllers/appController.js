@@ -0,0 +1,33 @@
+import App from '../models/App.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { APP_CATEGORIES } from '../utils/appCatalog.js';
+
+/**
+ * @route   GET /api/apps
+ * @desc    Get the app catalog (optionally filtered by category)
+ * @access  Private
+ */
+export const getApps = asyncHandler(async (req, res) => {
+  const { category } = req.query;
+
+  if (category && !APP_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      success: false,
+      message: `category must be one of: ${APP_CATEGORIES.join(', ')}`
+    });
+  }
+
+  const apps = await App.findAll({
+    where: category ? { category } : {},
+    attributes: ['id', 'name', 'aliases', 'icon', 'category'],
+    order: [['name', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      apps,
+      categories: APP_CATEGORIES
+    }
+  });
+});
@@ -52,7 +52,7 @@ export const register = asyncHandler(async (req, res) => {
   });
 
   // Validate required fields
-  const { username, email, password } = req.body;
+  const { username, email, password, timezone } = req.body;
 
   if (!username || !email || !password) {
     console.log('[Auth Controller] Missing required fields');
@@ -100,7 +100,9 @@ export const register = asyncHandler(async (req, res) => {
     const user = await User.create({
       username: username.trim(),
       email: normalizedEmail,
-      password: password
+      password: password,
+      // Browsers send their own zone on sign-up; UTC otherwise
+      ...(timezone && { timezone })
     });
 
     console.log('[Auth Controller] User created successfully, ID:', user.id);
@@ -121,7 +123,9 @@ export const register = asyncHandler(async (req, res) => {
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          timezone: user.timezone,
+          weekStart: user.weekStart
         },
         tokens: {
           accessToken,
@@ -235,7 +239,9 @@ export const login = asyncHandler(async (req, res) => {
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          timezone: user.timezone,
+          weekStart: user.weekStart
         },
         tokens: {
           accessToken,
@@ -385,6 +391,8 @@ export const getMe = asyncHandler(async (req, res) => {
           id: req.user.id,
           username: req.user.username,
           email: req.user.email,
+          timezone: req.user.timezone,
+          weekStart: req.user.weekStart,
           createdAt: req.user.createdAt
         }
       }
@@ -394,3 +402,33 @@ export const getMe = asyncHandler(async (req, res) => {
     throw error;
   }
 });
+
+/**
+ * @route   PUT /api/auth/me
+ * @desc    Update current user profile settings (timezone, week start)
+ * @access  Private
+ */
+export const updateMe = asyncHandler(async (req, res) => {
+  console.log('[Auth Controller] Update me request for user:', req.user?.id);
+
+  const { timezone, weekStart } = req.body;
+
+  if (timezone !== undefined) req.user.timezone = timezone;
+  if (weekStart !== undefined) req.user.weekStart = weekStart;
+  await req.user.save();
+
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: {
+      user: {
+        id: req.user.id,
+        username: req.user.username,
+        email: req.user.email,
+        timezone: req.user.timezone,
+        weekStart: req.user.weekStart,
+        createdAt: req.user.createdAt
+      }
+    }
+  });
+});
@@ -0,0 +1,205 @@
+import Goal from '../models/Goal.js';
+import UsageLog from '../models/UsageLog.js';
+import App from '../models/App.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { Op } from 'sequelize';
+import { evaluateGoal } from '../utils/analyticsEngine.js';
+import { getUserTimezone, getToday, toDateKey } from '../utils/dateUtils.js';
+
+/**
+ * Fetch the logs needed to evaluate goals starting on or after a date
+ * @param {Number} userId - User ID
+ * @param {String} fromDate - Earliest goal start date (YYYY-MM-DD)
+ * @returns {Array} Plain usage logs
+ */
+const fetchGoalLogs = async (userId, fromDate) => {
+  const logs = await UsageLog.findAll({
+    where: {
+      userId,
+      date: { [Op.gte]: fromDate }
+    }
+  });
+
+  return logs.map(log => ({
+    appName: log.appName,
+    minutesSpent: parseFloat(log.minutesSpent),
+    date: log.date
+  }));
+};
+
+/**
+ * @route   POST /api/goals
+ * @desc    Create a goal
+ * @access  Private
+ */
+export const createGoal = asyncHandler(async (req, res) => {
+  const { title, type, appName, targetMinutes, targetDays, startDate } = req.body;
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+
+  const goal = await Goal.create({
+    userId,
+    title: title.trim(),
+    type,
+    // Total-daily goals always cover every app
+    appName: type !== 'total_daily' && appName ? await App.canonicalName(appName) : null,
+    targetMinutes: targetMinutes !== undefined && targetMinutes !== null ? parseInt(targetMinutes) : null,
+    targetDays: parseInt(targetDays),
+    startDate: startDate ? toDateKey(startDate, timezone) : getToday(timezone)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Goal created successfully',
+    data: { goal }
+  });
+});
+
+/**
+ * @route   GET /api/goals
+ * @desc    Get all goals with streak and completion summaries
+ * @access  Private
+ */
+export const getGoals = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { active } = req.query;
+
+  const where = { userId };
+  if (active !== undefined) where.isActive = active === 'true';
+
+  const goals = await Goal.findAll({
+    where,
+    order: [['createdAt', 'DESC']]
+  });
+
+  if (goals.length === 0) {
+    return res.json({
+      success: true,
+      data: { goals: [], count: 0 }
+    });
+  }
+
+  const todayStr = getToday(getUserTimezone(req.user));
+  const earliestStart = goals
+    .map(goal => toDateKey(goal.startDate))
+    .sort()[0];
+  const logs = await fetchGoalLogs(userId, earliestStart);
+
+  const results = goals.map(goal => {
+    // Per-day details are only returned by GET /api/goals/:id
+    const { days, ...progress } = evaluateGoal(goal, logs, todayStr);
+    return {
+      ...goal.toJSON(),
+      progress
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      goals: results,
+      count: results.length
+    }
+  });
+});
+
+/**
+ * @route   GET /api/goals/:id
+ * @desc    Get a goal with its day-by-day progress
+ * @access  Private
+ */
+export const getGoalById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const goal = await Goal.findOne({
+    where: { id, userId }
+  });
+
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found'
+    });
+  }
+
+  const todayStr = getToday(getUserTimezone(req.user));
+  const logs = await fetchGoalLogs(userId, toDateKey(goal.startDate));
+
+  res.json({
+    success: true,
+    data: {
+      goal: {
+        ...goal.toJSON(),
+        progress: evaluateGoal(goal, logs, todayStr)
+      }
+    }
+  });
+});
+
+/**
+ * @route   PUT /api/goals/:id
+ * @desc    Update a goal
+ * @access  Private
+ */
+export const updateGoal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const { title, type, appName, targetMinutes, targetDays, startDate, isActive } = req.body;
+
+  const goal = await Goal.findOne({
+    where: { id, userId }
+  });
+
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found'
+    });
+  }
+
+  if (title) goal.title = title.trim();
+  if (type) goal.type = type;
+  if (appName !== undefined) goal.appName = appName ? await App.canonicalName(appName) : null;
+  if (goal.type === 'total_daily') goal.appName = null;
+  if (targetMinutes !== undefined) goal.targetMinutes = targetMinutes !== null ? parseInt(targetMinutes) : null;
+  if (targetDays !== undefined) goal.targetDays = parseInt(targetDays);
+  if (startDate) goal.startDate = toDateKey(startDate, getUserTimezone(req.user));
+  if (isActive !== undefined) goal.isActive = Boolean(isActive);
+
+  await goal.save();
+
+  res.json({
+    success: true,
+    message: 'Goal updated successfully',
+    data: { goal }
+  });
+});
+
+/**
+ * @route   DELETE /api/goals/:id
+ * @desc    Delete a goal
+ * @access  Private
+ */
+export const deleteGoal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const goal = await Goal.findOne({
+    where: { id, userId }
+  });
+
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found'
+    });
+  }
+
+  await goal.destroy();
+
+  res.json({
+    success: true,
+    message: 'Goal deleted successfully'
+  });
+});
@@ -0,0 +1,277 @@
+import UsageLog from '../models/UsageLog.js';
+import App from '../models/App.js';
+import { sequelize } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateUsageRow } from '../middleware/validator.js';
+import { parseCsv } from '../utils/csv.js';
+import { IMPORT_SOURCES, parseSourceRows, extractJsonRows } from '../utils/importParsers.js';
+import { DEFAULT_TIMEZONE, getUserTimezone, getToday, toDateKey } from '../utils/dateUtils.js';
+import { Op, fn, col } from 'sequelize';
+
+const MAX_IMPORT_ROWS = 5000;
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'sum'];
+
+/**
+ * Convert empty cells to undefined/null so optional rules treat them as missing
+ * @param {Object} raw - Raw row from CSV or JSON
+ * @returns {Object} Row with usage log fields only
+ */
+const normalizeRow = (raw) => {
+  const blank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+  const foundIt = blank(raw.foundIt)
+    ? null
+    : raw.foundIt === true || String(raw.foundIt).toLowerCase() === 'true';
+
+  return {
+    appName: blank(raw.appName) ? '' : String(raw.appName),
+    minutesSpent: blank(raw.minutesSpent) ? '' : raw.minutesSpent,
+    date: blank(raw.date) ? undefined : String(raw.date).trim(),
+    startHour: blank(raw.startHour) ? null : raw.startHour,
+    intention: blank(raw.intention) ? null : String(raw.intention).trim().slice(0, 200),
+    foundIt
+  };
+};
+
+/**
+ * Validate, resolve conflicts for, and optionally write a batch of usage rows
+ * Rows are applied in order, so duplicates within the same batch are resolved
+ * with the same strategy as conflicts with existing logs
+ *
+ * @param {Number} userId - User ID
+ * @param {Array} rawRows - Rows with usage log fields
+ * @param {Object} options - { conflictStrategy: 'skip'|'overwrite'|'sum', dryRun: Boolean, timezone: String }
+ * @returns {Object} Summary counts and a per-row report
+ */
+export const importUsageRows = async (userId, rawRows, { conflictStrategy = 'skip', dryRun = false, timezone = DEFAULT_TIMEZONE } = {}) => {
+  const report = [];
+  const validRows = [];
+
+  for (let i = 0; i < rawRows.length; i++) {
+    // JSON imports can contain anything, not just row objects
+    const raw = rawRows[i];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      report.push({ row: i + 1, appName: null, date: null, status: 'invalid', errors: ['Row must be an object with usage log fields'] });
+      continue;
+    }
+
+    const { row, errors } = await validateUsageRow(normalizeRow(raw));
+
+    if (errors.length > 0) {
+      report.push({ row: i + 1, appName: row.appName || null, date: row.date || null, status: 'invalid', errors });
+      continue;
+    }
+
+    validRows.push({
+      index: i,
+      // Canonical names so "insta" and "Instagram" rows merge into one entry
+      appName: await App.canonicalName(row.appName),
+      minutesSpent: parseFloat(row.minutesSpent),
+      date: row.date ? toDateKey(row.date, timezone) : getToday(timezone),
+      startHour: row.startHour !== null ? parseInt(row.startHour) : null,
+      intention: row.intention,
+      foundIt: row.foundIt
+    });
+  }
+
+  // Load existing logs that could collide with unique_user_app_date
+  const existingLogs = validRows.length > 0
+    ? await UsageLog.findAll({
+      where: {
+        userId,
+        [Op.and]: [sequelize.where(fn('LOWER', col('app_name')), {
+          [Op.in]: [...new Set(validRows.map(row => row.appName.toLowerCase()))]
+        })],
+        date: { [Op.in]: [...new Set(validRows.map(row => row.date))] }
+      }
+    })
+    : [];
+
+  // Planned state per app/date: the existing instance (if any) and the values to write.
+  // Keyed on the lowercased name, since app names are unique regardless of case
+  const planKey = (appName, date) => `${appName.toLowerCase()}|${date}`;
+  const planned = new Map();
+  existingLogs.forEach(log => {
+    planned.set(planKey(log.appName, log.date), {
+      instance: log,
+      values: {
+        appName: log.appName,
+        date: log.date,
+        minutesSpent: parseFloat(log.minutesSpent),
+        startHour: log.startHour,
+        intention: log.intention,
+        foundIt: log.foundIt
+      },
+      dirty: false
+    });
+  });
+
+  validRows.forEach(row => {
+    const key = planKey(row.appName, row.date);
+    const current = planned.get(key);
+    const { index, ...values } = row;
+    const entry = { row: index + 1, appName: row.appName, date: row.date };
+
+    if (!current) {
+      planned.set(key, { instance: null, values, dirty: true });
+      report.push({ ...entry, status: 'created', minutesSpent: values.minutesSpent });
+      return;
+    }
+
+    if (conflictStrategy === 'skip') {
+      report.push({ ...entry, status: 'skipped', message: 'An entry for this app and date already exists' });
+      return;
+    }
+
+    if (conflictStrategy === 'sum') {
+      const combined = Math.round((current.values.minutesSpent + values.minutesSpent) * 100) / 100;
+      if (combined > 1440) {
+        report.push({ ...entry, status: 'invalid', errors: ['Combined minutes for this app and date would exceed 1440'] });
+        return;
+      }
+      current.values.minutesSpent = combined;
+      // Keep existing details, only fill in what's missing
+      current.values.startHour = current.values.startHour ?? values.startHour;
+      current.values.intention = current.values.intention ?? values.intention;
+      current.values.foundIt = current.values.foundIt ?? values.foundIt;
+      current.dirty = true;
+      report.push({ ...entry, status: 'merged', minutesSpent: combined });
+      return;
+    }
+
+    // overwrite
+    current.values = {
+      ...current.values,
+      minutesSpent: values.minutesSpent,
+      ...(values.startHour !== null && { startHour: values.startHour }),
+      ...(values.intention !== null && { intention: values.intention }),
+      ...(values.foundIt !== null && { foundIt: values.foundIt })
+    };
+    current.dirty = true;
+    report.push({ ...entry, status: 'updated', minutesSpent: values.minutesSpent });
+  });
+
+  if (!dryRun) {
+    // All-or-nothing so a failure halfway doesn't leave a partial import
+    await sequelize.transaction(async (transaction) => {
+      for (const { instance, values, dirty } of planned.values()) {
+        if (!dirty) continue;
+        if (instance) {
+          // Imported minutes replace any session-derived total, so the log becomes manual
+          await instance.update({ ...values, source: 'manual' }, { transaction });
+        } else {
+          await UsageLog.create({ userId, ...values }, { transaction });
+        }
+      }
+    });
+  }
+
+  report.sort((a, b) => a.row - b.row);
+
+  const count = (status) => report.filter(entry => entry.status === status).length;
+
+  return {
+    dryRun,
+    conflictStrategy,
+    summary: {
+      total: rawRows.length,
+      created: count('created'),
+      updated: count('updated'),
+      merged: count('merged'),
+      skipped: count('skipped'),
+      invalid: count('invalid')
+    },
+    rows: report
+  };
+};
+
+/**
+ * @route   POST /api/usage/import
+ * @desc    Bulk import usage logs from CSV text, a JSON array, or a phone/tracker export
+ * @access  Private
+ */
+export const importUsageLogs = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+  const { data, conflictStrategy = 'skip', dryRun = false } = req.body;
+  const format = req.body.format || (Array.isArray(data) ? 'json' : 'csv');
+
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+    return res.status(400).json({
+      success: false,
+      message: 'conflictStrategy must be skip, overwrite or sum'
+    });
+  }
+
+  let rows;
+  let unparsedRows = [];
+  if (IMPORT_SOURCES.includes(format)) {
+    // Device and tracker exports: CSV text, a JSON array, or a JSON object wrapping one
+    const sourceRows = typeof data === 'string' ? parseCsv(data) : extractJsonRows(data);
+    if (!sourceRows) {
+      return res.status(400).json({
+        success: false,
+        message: 'data must be CSV text or JSON rows from the export'
+      });
+    }
+    if (sourceRows.length > MAX_IMPORT_ROWS * 24) {
+      return res.status(400).json({
+        success: false,
+        message: `Exports are limited to ${MAX_IMPORT_ROWS * 24} rows at a time`
+      });
+    }
+    const parsed = parseSourceRows(format, sourceRows, timezone);
+    rows = parsed.rows;
+    unparsedRows = parsed.skipped;
+  } else if (format === 'json') {
+    if (!Array.isArray(data)) {
+      return res.status(400).json({
+        success: false,
+        message: 'data must be an array of usage entries for JSON imports'
+      });
+    }
+    rows = data;
+  } else if (format === 'csv') {
+    if (typeof data !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'data must be CSV text for CSV imports'
+      });
+    }
+    rows = parseCsv(data);
+  } else {
+    return res.status(400).json({
+      success: false,
+      message: `format must be csv, json or one of: ${IMPORT_SOURCES.join(', ')}`
+    });
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: unparsedRows.length > 0
+        ? `No usable rows found in the export (${unparsedRows.length} could not be read)`
+        : 'No rows to import'
+    });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `Imports are limited to ${MAX_IMPORT_ROWS} rows at a time`
+    });
+  }
+
+  const isDryRun = dryRun === true || dryRun === 'true';
+  const result = await importUsageRows(userId, rows, { conflictStrategy, dryRun: isDryRun, timezone });
+
+  res.status(isDryRun ? 200 : 201).json({
+    success: true,
+    message: isDryRun ? 'Dry run completed, nothing was saved' : 'Import completed successfully',
+    data: {
+      format,
+      ...result,
+      ...(IMPORT_SOURCES.includes(format) && { unparsedRows })
+    }
+  });
+});
@@ -0,0 +1,192 @@
+import Intervention from '../models/Intervention.js';
+import UsageLog from '../models/UsageLog.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { Op } from 'sequelize';
+import { getUserTimezone, getToday, toDateKey } from '../utils/dateUtils.js';
+import {
+  getInterventionWindows,
+  calculateInterventionComparison
+} from '../../../shared/beforeAfter.js';
+
+const DEFAULT_COMPARISON_DAYS = 7;
+const MAX_COMPARISON_DAYS = 90;
+
+/**
+ * Find one of the user's interventions
+ * @param {Number} userId - User ID
+ * @param {String} id - Intervention ID
+ * @returns {Object|null} Intervention
+ */
+const findIntervention = (userId, id) => Intervention.findOne({
+  where: { id, userId }
+});
+
+/**
+ * @route   POST /api/interventions
+ * @desc    Create an intervention
+ * @access  Private
+ */
+export const createIntervention = asyncHandler(async (req, res) => {
+  const { label, date, description } = req.body;
+
+  const intervention = await Intervention.create({
+    userId: req.user.id,
+    label: label.trim(),
+    date: toDateKey(date, getUserTimezone(req.user)),
+    description: description ? description.trim() : null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Intervention created successfully',
+    data: { intervention }
+  });
+});
+
+/**
+ * @route   GET /api/interventions
+ * @desc    Get all interventions, oldest first
+ * @access  Private
+ */
+export const getInterventions = asyncHandler(async (req, res) => {
+  const interventions = await Intervention.findAll({
+    where: { userId: req.user.id },
+    order: [['date', 'ASC'], ['id', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      interventions,
+      count: interventions.length
+    }
+  });
+});
+
+/**
+ * @route   GET /api/interventions/:id
+ * @desc    Get an intervention
+ * @access  Private
+ */
+export const getInterventionById = asyncHandler(async (req, res) => {
+  const intervention = await findIntervention(req.user.id, req.params.id);
+
+  if (!intervention) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intervention not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { intervention }
+  });
+});
+
+/**
+ * @route   PUT /api/interventions/:id
+ * @desc    Update an intervention
+ * @access  Private
+ */
+export const updateIntervention = asyncHandler(async (req, res) => {
+  const { label, date, description } = req.body;
+
+  const intervention = await findIntervention(req.user.id, req.params.id);
+
+  if (!intervention) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intervention not found'
+    });
+  }
+
+  if (label) intervention.label = label.trim();
+  if (date) intervention.date = toDateKey(date, getUserTimezone(req.user));
+  if (description !== undefined) intervention.description = description ? description.trim() : null;
+
+  await intervention.save();
+
+  res.json({
+    success: true,
+    message: 'Intervention updated successfully',
+    data: { intervention }
+  });
+});
+
+/**
+ * @route   DELETE /api/interventions/:id
+ * @desc    Delete an intervention
+ * @access  Private
+ */
+export const deleteIntervention = asyncHandler(async (req, res) => {
+  const intervention = await findIntervention(req.user.id, req.params.id);
+
+  if (!intervention) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intervention not found'
+    });
+  }
+
+  await intervention.destroy();
+
+  res.json({
+    success: true,
+    message: 'Intervention deleted successfully'
+  });
+});
+
+/**
+ * @route   GET /api/interventions/:id/comparison
+ * @desc    Compare usage in the days before an intervention with the days after it
+ * @access  Private
+ */
+export const getInterventionComparison = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_COMPARISON_DAYS;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_COMPARISON_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `days must be a whole number between 1 and ${MAX_COMPARISON_DAYS}`
+    });
+  }
+
+  const intervention = await findIntervention(userId, req.params.id);
+
+  if (!intervention) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intervention not found'
+    });
+  }
+
+  const todayStr = getToday(getUserTimezone(req.user));
+  const windows = getInterventionWindows(intervention.date, days, todayStr);
+
+  const logs = await UsageLog.findAll({
+    where: {
+      userId,
+      date: {
+        [Op.between]: [windows.before.startDate, (windows.after || windows.before).endDate]
+      }
+    },
+    order: [['date', 'ASC']]
+  });
+
+  const plainLogs = logs.map(log => ({
+    appName: log.appName,
+    minutesSpent: parseFloat(log.minutesSpent),
+    date: log.date,
+    isLateNight: log.isLateNight
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      intervention,
+      ...calculateInterventionComparison(plainLogs, intervention.date, days, todayStr)
+    }
+  });
+});
@@ -0,0 +1,150 @@
+import AppLimit from '../models/AppLimit.js';
+import UsageLog from '../models/UsageLog.js';
+import App from '../models/App.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { calculateLimitBudgets } from '../utils/limitTracker.js';
+import { getUserTimezone, getToday } from '../utils/dateUtils.js';
+
+/**
+ * @route   POST /api/limits
+ * @desc    Create a daily time limit for an app
+ * @access  Private
+ */
+export const createLimit = asyncHandler(async (req, res) => {
+  const { dailyLimitMinutes } = req.body;
+  const userId = req.user.id;
+  const appName = await App.canonicalName(req.body.appName);
+
+  const existing = await AppLimit.findOne({
+    where: { userId, appName }
+  });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: `A limit for ${appName} already exists. You can update it instead.`
+    });
+  }
+
+  const limit = await AppLimit.create({
+    userId,
+    appName,
+    dailyLimitMinutes: parseInt(dailyLimitMinutes)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'App limit created successfully',
+    data: { limit }
+  });
+});
+
+/**
+ * @route   GET /api/limits
+ * @desc    Get all app limits with today's remaining budget
+ * @access  Private
+ */
+export const getLimits = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const todayStr = getToday(getUserTimezone(req.user));
+
+  const [limits, todayLogs] = await Promise.all([
+    AppLimit.findAll({
+      where: { userId },
+      order: [['appName', 'ASC']]
+    }),
+    UsageLog.findAll({
+      where: { userId, date: todayStr }
+    })
+  ]);
+
+  const budgets = calculateLimitBudgets(limits, todayLogs.map(log => ({
+    appName: log.appName,
+    minutesSpent: parseFloat(log.minutesSpent)
+  })));
+
+  res.json({
+    success: true,
+    data: {
+      limits,
+      budgets
+    }
+  });
+});
+
+/**
+ * @route   PUT /api/limits/:id
+ * @desc    Update an app limit
+ * @access  Private
+ */
+export const updateLimit = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const { appName, dailyLimitMinutes } = req.body;
+
+  const limit = await AppLimit.findOne({
+    where: { id, userId }
+  });
+
+  if (!limit) {
+    return res.status(404).json({
+      success: false,
+      message: 'App limit not found'
+    });
+  }
+
+  const canonicalAppName = appName ? await App.canonicalName(appName) : null;
+
+  if (canonicalAppName && canonicalAppName !== limit.appName) {
+    const existing = await AppLimit.findOne({
+      where: { userId, appName: canonicalAppName }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A limit for ${canonicalAppName} already exists`
+      });
+    }
+
+    limit.appName = canonicalAppName;
+  }
+
+  if (dailyLimitMinutes !== undefined) limit.dailyLimitMinutes = parseInt(dailyLimitMinutes);
+
+  await limit.save();
+
+  res.json({
+    success: true,
+    message: 'App limit updated successfully',
+    data: { limit }
+  });
+});
+
+/**
+ * @route   DELETE /api/limits/:id
+ * @desc    Delete an app limit
+ * @access  Private
+ */
+export const deleteLimit = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const limit = await AppLimit.findOne({
+    where: { id, userId }
+  });
+
+  if (!limit) {
+    return res.status(404).json({
+      success: false,
+      message: 'App limit not found'
+    });
+  }
+
+  await limit.destroy();
+
+  res.json({
+    success: true,
+    message: 'App limit deleted successfully'
+  });
+});
@@ -0,0 +1,188 @@
+import UsageLog from '../models/UsageLog.js';
+import UsageSession from '../models/UsageSession.js';
+import App from '../models/App.js';
+import { sequelize } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { Op, fn, col } from 'sequelize';
+
+const MAX_MERGE_NAMES = 20;
+
+/**
+ * Plan how logs for several app names collapse into one name
+ * Logs on the same date are summed into a single log (capped at 1440 minutes)
+ * @param {Array} logs - Usage logs for the source and target names
+ * @param {String} targetName - Canonical app name
+ * @returns {Array} One change per date: { keep, remove, values, action, capped }
+ */
+const planMerge = (logs, targetName) => {
+  const byDate = new Map();
+  logs.forEach(log => {
+    if (!byDate.has(log.date)) byDate.set(log.date, []);
+    byDate.get(log.date).push(log);
+  });
+
+  const changes = [];
+
+  byDate.forEach((dayLogs, date) => {
+    // Prefer the log already using the target name, so its ID survives
+    const sorted = [...dayLogs].sort((a, b) => {
+      if (a.appName === targetName && b.appName !== targetName) return -1;
+      if (b.appName === targetName && a.appName !== targetName) return 1;
+      return a.id - b.id;
+    });
+    const [keep, ...remove] = sorted;
+
+    if (remove.length === 0 && keep.appName === targetName) return;
+
+    const total = dayLogs.reduce((sum, log) => sum + parseFloat(log.minutesSpent), 0);
+    const minutesSpent = Math.min(1440, Math.round(total * 100) / 100);
+    const sessionCounts = dayLogs.filter(log => log.sessionCount !== null);
+    const longest = [...dayLogs].sort((a, b) => parseFloat(b.minutesSpent) - parseFloat(a.minutesSpent))[0];
+
+    changes.push({
+      date,
+      keep,
+      remove,
+      action: remove.length > 0 ? 'merged' : 'renamed',
+      capped: total > 1440,
+      values: {
+        appName: targetName,
+        minutesSpent,
+        sessionCount: sessionCounts.length > 0
+          ? sessionCounts.reduce((sum, log) => sum + log.sessionCount, 0)
+          : null,
+        // Still follows its sessions only if every merged log did
+        source: dayLogs.every(log => log.source === 'sessions') ? 'sessions' : 'manual',
+        // Details come from the kept log, falling back to the log with the most time
+        startHour: keep.startHour ?? longest.startHour,
+        intention: keep.intention ?? dayLogs.find(log => log.intention)?.intention ?? null,
+        foundIt: keep.foundIt ?? dayLogs.find(log => log.foundIt !== null)?.foundIt ?? null
+      }
+    });
+  });
+
+  return changes.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * @route   GET /api/usage/app-names
+ * @desc    Get the distinct app names a user has logged, with entry counts
+ * @access  Private
+ */
+export const getUsageAppNames = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const rows = await UsageLog.findAll({
+    where: { userId },
+    attributes: [
+      'appName',
+      [fn('COUNT', col('id')), 'count'],
+      [fn('SUM', col('minutes_spent')), 'totalMinutes']
+    ],
+    group: ['appName'],
+    order: [['appName', 'ASC']],
+    raw: true
+  });
+
+  res.json({
+    success: true,
+    data: {
+      appNames: rows.map(row => ({
+        appName: row.appName,
+        count: Number(row.count),
+        totalMinutes: Math.round(Number(row.totalMinutes) * 100) / 100
+      }))
+    }
+  });
+});
+
+/**
+ * @route   POST /api/usage/merge-apps
+ * @desc    Preview or merge several app names into one canonical name
+ * @access  Private
+ */
+export const mergeAppNames = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { sourceNames, targetName, dryRun = false } = req.body;
+
+  if (!Array.isArray(sourceNames) || sourceNames.length === 0 || sourceNames.some(name => typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'sourceNames must be a non-empty array of app names'
+    });
+  }
+
+  if (sourceNames.length > MAX_MERGE_NAMES) {
+    return res.status(400).json({
+      success: false,
+      message: `Up to ${MAX_MERGE_NAMES} app names can be merged at a time`
+    });
+  }
+
+  if (typeof targetName !== 'string' || !targetName.trim() || targetName.trim().length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: 'targetName is required and cannot exceed 100 characters'
+    });
+  }
+
+  const canonicalTarget = await App.canonicalName(targetName);
+  const lowerNames = [...new Set([...sourceNames, canonicalTarget].map(name => name.trim().toLowerCase()))];
+  const nameFilter = sequelize.where(fn('LOWER', col('app_name')), { [Op.in]: lowerNames });
+
+  const logs = await UsageLog.findAll({
+    where: { userId, [Op.and]: [nameFilter] },
+    order: [['date', 'ASC'], ['id', 'ASC']]
+  });
+
+  const changes = planMerge(logs, canonicalTarget);
+  const isDryRun = dryRun === true || dryRun === 'true';
+
+  if (!isDryRun && changes.length > 0) {
+    await sequelize.transaction(async (transaction) => {
+      for (const change of changes) {
+        // Remove the extra rows first so the rename can't hit unique_user_app_date
+        for (const log of change.remove) {
+          await log.destroy({ transaction });
+        }
+        await change.keep.update(change.values, { transaction });
+      }
+
+      // Sessions follow their logs, otherwise the next session sync would recreate the old name
+      await UsageSession.update(
+        { appName: canonicalTarget },
+        { where: { userId, [Op.and]: [nameFilter] }, transaction }
+      );
+    });
+  }
+
+  const count = (action) => changes.filter(change => change.action === action).length;
+
+  res.json({
+    success: true,
+    message: isDryRun ? 'Preview only, nothing was changed' : 'App names merged successfully',
+    data: {
+      dryRun: isDryRun,
+      targetName: canonicalTarget,
+      summary: {
+        logsAffected: changes.reduce((sum, change) => sum + 1 + change.remove.length, 0),
+        renamed: count('renamed'),
+        merged: count('merged'),
+        removed: changes.reduce((sum, change) => sum + change.remove.length, 0),
+        capped: changes.filter(change => change.capped).length
+      },
+      changes: changes.map(change => ({
+        date: change.date,
+        action: change.action,
+        keptId: change.keep.id,
+        minutesSpent: change.values.minutesSpent,
+        capped: change.capped,
+        from: [change.keep, ...change.remove].map(log => ({
+          id: log.id,
+          appName: log.appName,
+          minutesSpent: parseFloat(log.minutesSpent)
+        }))
+      }))
+    }
+  });
+});
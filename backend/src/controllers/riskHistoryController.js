@@ -0,0 +1,166 @@
+import UsageLog from '../models/UsageLog.js';
+import RiskSnapshot from '../models/RiskSnapshot.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { Op, fn, col } from 'sequelize';
+import { calculateRiskScore } from '../utils/analyticsEngine.js';
+import { getUserTimezone, getToday, addDays, isDateKey } from '../utils/dateUtils.js';
+import { CURRENT_RISK_MODEL_VERSION } from '../../../shared/riskModel.js';
+
+const HISTORY_STEPS = { day: 1, week: 7 };
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 366;
+
+// Same window as GET /api/analytics/risk-score: the scored day and the 7 days before it
+const RISK_WINDOW_DAYS = 7;
+
+/**
+ * Log count, minute total and latest update per day, grouped in SQL
+ * The risk model only looks at daily totals, so these are enough both to check
+ * cached scores and to score the windows that changed
+ * @param {Number} userId - User ID
+ * @param {String} startDate - First day (YYYY-MM-DD)
+ * @param {String} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array} Days as { date, logCount, minutesSpent, lastUpdated }
+ */
+const getDailyLogSummaries = async (userId, startDate, endDate) => {
+  const rows = await UsageLog.findAll({
+    where: {
+      userId,
+      date: { [Op.between]: [startDate, endDate] }
+    },
+    attributes: [
+      'date',
+      [fn('COUNT', col('id')), 'logCount'],
+      [fn('SUM', col('minutes_spent')), 'minutes'],
+      [fn('MAX', col('updated_at')), 'lastUpdated']
+    ],
+    group: ['date'],
+    raw: true
+  });
+
+  return rows.map(row => ({
+    date: row.date,
+    logCount: Number(row.logCount),
+    minutesSpent: parseFloat(row.minutes),
+    lastUpdated: new Date(row.lastUpdated).getTime()
+  }));
+};
+
+/**
+ * Summarize the logs in a window so a cached score can be checked for staleness
+ * Any added, removed or edited log changes the count, total or latest update time
+ * @param {Array} days - Daily summaries in the window, from getDailyLogSummaries
+ * @returns {String} Source key
+ */
+const buildSourceKey = (days) => {
+  const count = days.reduce((sum, day) => sum + day.logCount, 0);
+  const total = days.reduce((sum, day) => sum + day.minutesSpent, 0);
+  const lastUpdated = days.reduce((latest, day) => Math.max(latest, day.lastUpdated), 0);
+  return `${count}:${total.toFixed(2)}:${lastUpdated}`;
+};
+
+/**
+ * @route   GET /api/analytics/risk-score/history
+ * @desc    Get the risk score replayed over past days (cached in risk snapshots)
+ * @access  Private
+ */
+export const getRiskScoreHistory = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { step = 'day' } = req.query;
+
+  const to = req.query.to || getToday(getUserTimezone(req.user));
+  const from = req.query.from || (isDateKey(to) ? addDays(to, -DEFAULT_HISTORY_DAYS) : null);
+
+  if (!isDateKey(from) || !isDateKey(to)) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be dates in YYYY-MM-DD format'
+    });
+  }
+
+  if (from > to) {
+    return res.status(400).json({
+      success: false,
+      message: 'from must be on or before to'
+    });
+  }
+
+  if (addDays(from, MAX_HISTORY_DAYS) < to) {
+    return res.status(400).json({
+      success: false,
+      message: `History can cover at most ${MAX_HISTORY_DAYS} days`
+    });
+  }
+
+  if (!Object.hasOwn(HISTORY_STEPS, step)) {
+    return res.status(400).json({
+      success: false,
+      message: `step must be one of: ${Object.keys(HISTORY_STEPS).join(', ')}`
+    });
+  }
+
+  // Count back from `to` so the latest point always lines up with the end of the range
+  const snapshotDates = [];
+  for (let date = to; date >= from; date = addDays(date, -HISTORY_STEPS[step])) {
+    snapshotDates.unshift(date);
+  }
+
+  const [days, snapshots] = await Promise.all([
+    getDailyLogSummaries(userId, addDays(from, -RISK_WINDOW_DAYS), to),
+    RiskSnapshot.findAll({
+      where: {
+        userId,
+        modelVersion: CURRENT_RISK_MODEL_VERSION,
+        snapshotDate: { [Op.in]: snapshotDates }
+      }
+    })
+  ]);
+
+  const cached = new Map(snapshots.map(snapshot => [snapshot.snapshotDate, snapshot]));
+  const staleSnapshots = [];
+
+  const points = snapshotDates.map(date => {
+    const windowStart = addDays(date, -RISK_WINDOW_DAYS);
+    const windowDays = days.filter(day => day.date >= windowStart && day.date <= date);
+    const loggedDays = windowDays.length;
+    const sourceKey = buildSourceKey(windowDays);
+    const snapshot = cached.get(date);
+
+    if (snapshot && snapshot.sourceKey === sourceKey) {
+      return { date, score: snapshot.score, level: snapshot.level, factors: snapshot.factors, loggedDays };
+    }
+
+    const riskScore = calculateRiskScore(windowDays);
+
+    staleSnapshots.push({
+      userId,
+      snapshotDate: date,
+      modelVersion: riskScore.modelVersion,
+      score: riskScore.score,
+      level: riskScore.level,
+      factors: riskScore.factors,
+      sourceKey
+    });
+
+    return { date, score: riskScore.score, level: riskScore.level, factors: riskScore.factors, loggedDays };
+  });
+
+  if (staleSnapshots.length > 0) {
+    await RiskSnapshot.bulkCreate(staleSnapshots, {
+      updateOnDuplicate: ['score', 'level', 'factors', 'sourceKey', 'updatedAt']
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      step,
+      modelVersion: CURRENT_RISK_MODEL_VERSION,
+      points,
+      computed: staleSnapshots.length,
+      cached: points.length - staleSnapshots.length
+    }
+  });
+});
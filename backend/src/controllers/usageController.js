@@ -1,6 +1,155 @@
 import UsageLog from '../models/UsageLog.js';
+import AppLimit from '../models/AppLimit.js';
+import App from '../models/App.js';
+import { sequelize } from '../config/database.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { Op } from 'sequelize';
+import { validateUsageRow } from '../middleware/validator.js';
+import { Op, fn, col } from 'sequelize';
+import { calculateLimitStatus, buildLimitAlert } from '../utils/limitTracker.js';
+import { toCsvRow } from '../utils/csv.js';
+import { getUserTimezone, getToday, toDateKey } from '../utils/dateUtils.js';
+import { HONESTY_RULES, findEntryAnomalies } from '../../../shared/honestyScore.js';
+
+// Every UsageLog field included in exports, in column order
+const EXPORT_FIELDS = [
+  'id',
+  'appName',
+  'appId',
+  'minutesSpent',
+  'date',
+  'startHour',
+  'sessionCount',
+  'source',
+  'intention',
+  'foundIt',
+  'createdAt',
+  'updatedAt'
+];
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Sort options for GET /api/usage and the UsageLog field each one orders by
+const SORT_FIELDS = {
+  date: 'date',
+  minutes: 'minutesSpent',
+  app: 'appName'
+};
+
+// foundIt filter values; "unanswered" matches entries without an answer
+const FOUND_IT_FILTERS = {
+  true: { value: true },
+  false: { value: false },
+  unanswered: { value: null }
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+const BATCH_ACTIONS = ['create', 'update', 'delete'];
+const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Find a log for the same user, app and date, ignoring app name case
+ * @param {Number} userId - User ID
+ * @param {String} appName - App name
+ * @param {String} date - Date string (YYYY-MM-DD)
+ * @param {Object} options - { excludeId, transaction }
+ * @returns {Object|null} Existing usage log
+ */
+const findDuplicateLog = (userId, appName, date, { excludeId = null, transaction } = {}) => UsageLog.findOne({
+  where: {
+    userId,
+    date,
+    [Op.and]: [sequelize.where(fn('LOWER', col('app_name')), appName.toLowerCase())],
+    ...(excludeId && { id: { [Op.ne]: excludeId } })
+  },
+  transaction
+});
+
+/**
+ * Check a saved usage log against the user's limit for that app
+ * A log holds the whole day's minutes for its app, so it is compared directly
+ * @param {Object} usageLog - Saved usage log
+ * @returns {Object} Limit status (null if no limit is set) and over-limit alert
+ */
+const checkAppLimit = async (usageLog) => {
+  const limit = await AppLimit.findOne({
+    where: { userId: usageLog.userId, appName: usageLog.appName }
+  });
+
+  if (!limit) {
+    return { limitStatus: null, limitAlert: null };
+  }
+
+  const limitStatus = calculateLimitStatus(limit, parseFloat(usageLog.minutesSpent));
+
+  return {
+    limitStatus,
+    limitAlert: buildLimitAlert(limitStatus)
+  };
+};
+
+/**
+ * Check an entry against the Digital Honesty rules before it is saved,
+ * comparing it with the same app's most recent entries before that date
+ * @param {Number} userId - User ID
+ * @param {String} appName - Canonical app name
+ * @param {String} date - Date string (YYYY-MM-DD)
+ * @param {Number} minutesSpent - Minutes about to be saved
+ * @returns {Array} Anomaly warnings (empty if the entry looks normal)
+ */
+const findAnomalies = async (userId, appName, date, minutesSpent) => {
+  const previousLogs = await UsageLog.findAll({
+    where: { userId, appName, date: { [Op.lt]: date } },
+    attributes: ['minutesSpent'],
+    order: [['date', 'DESC']],
+    limit: HONESTY_RULES.spike.window,
+    raw: true
+  });
+
+  return findEntryAnomalies({ appName, minutesSpent }, previousLogs.reverse());
+};
+
+/**
+ * Check a batch operation for unusual entries, as POST and PUT /api/usage do
+ * Updates are only checked when they change the app, date or minutes
+ * @param {Number} userId - User ID
+ * @param {Object} operation - { action, id, data } with data already validated
+ * @param {String} timezone - User's timezone, for dates given as timestamps or left out
+ * @returns {Array} Anomaly warnings (empty for deletes and normal entries)
+ */
+const findOperationAnomalies = async (userId, { action, id, data }, timezone) => {
+  if (action !== 'create' && action !== 'update') return [];
+
+  const appName = await App.canonicalName(data.appName);
+  const minutesSpent = parseFloat(data.minutesSpent);
+
+  if (action === 'create') {
+    const date = data.date ? toDateKey(data.date, timezone) : getToday(timezone);
+    return findAnomalies(userId, appName, date, minutesSpent);
+  }
+
+  // A missing log is reported when the batch is applied
+  const usageLog = await UsageLog.findOne({ where: { id, userId } });
+  if (!usageLog) return [];
+
+  const date = data.date ? toDateKey(data.date, timezone) : usageLog.date;
+  const changed = appName !== usageLog.appName || date !== usageLog.date ||
+    minutesSpent !== parseFloat(usageLog.minutesSpent);
+
+  return changed ? findAnomalies(userId, appName, date, minutesSpent) : [];
+};
+
+/**
+ * Refuse to save an unusual entry until the client resends it with acknowledged: true
+ * @param {Object} res - Express response
+ * @param {Array} warnings - Anomaly warnings from findAnomalies
+ */
+const requireAcknowledgement = (res, warnings) => res.status(409).json({
+  success: false,
+  message: 'This entry looks unusual. Check it, or resend it with acknowledged: true to save it as is.',
+  data: { warnings }
+});
 
 /**
  * @route   POST /api/usage
@@ -8,28 +157,26 @@ import { Op } from 'sequelize';
  * @access  Private
  */
 export const createUsageLog = asyncHandler(async (req, res) => {
-  const { appName, minutesSpent, date, intention, foundIt } = req.body;
+  const { appName, minutesSpent, date, intention, foundIt, startHour, acknowledged } = req.body;
   const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
 
-  // Validate inputs
-  if (!appName || !minutesSpent) {
+  // Validate inputs; 0 minutes is a valid entry (a day off)
+  if (!appName || minutesSpent === undefined || minutesSpent === null || minutesSpent === '') {
     return res.status(400).json({
       success: false,
       message: 'App name and minutes spent are required'
     });
   }
 
-  // Normalize date (use provided date or current date)
-  const logDate = date ? new Date(date).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+  // Normalize date (use provided date or today in the user's timezone)
+  const logDate = date ? toDateKey(date, timezone) : getToday(timezone);
+
+  // Aliases like "insta" are stored under the catalog name
+  const canonicalAppName = await App.canonicalName(appName);
 
   // Check for duplicate entry (case-insensitive app name)
-  const existing = await UsageLog.findOne({
-    where: {
-      userId,
-      appName: appName.trim(),
-      date: logDate
-    }
-  });
+  const existing = await findDuplicateLog(userId, canonicalAppName, logDate);
 
   if (existing) {
     return res.status(400).json({
@@ -38,21 +185,29 @@ export const createUsageLog = asyncHandler(async (req, res) => {
     });
   }
 
+  const warnings = await findAnomalies(userId, canonicalAppName, logDate, parseFloat(minutesSpent));
+  if (warnings.length > 0 && String(acknowledged) !== 'true') {
+    return requireAcknowledgement(res, warnings);
+  }
+
   try {
     // Create usage log
     const usageLog = await UsageLog.create({
       userId,
-      appName: appName.trim(),
+      appName: canonicalAppName,
       minutesSpent: parseFloat(minutesSpent),
       date: logDate,
       intention: intention ? intention.trim() : null,
-      foundIt: foundIt !== undefined ? Boolean(foundIt) : null
+      foundIt: foundIt !== undefined ? Boolean(foundIt) : null,
+      startHour: startHour !== undefined && startHour !== null ? parseInt(startHour) : null
     });
 
+    const { limitStatus, limitAlert } = await checkAppLimit(usageLog);
+
     res.status(201).json({
       success: true,
       message: 'Usage log created successfully',
-      data: { usageLog }
+      data: { usageLog, limitStatus, limitAlert, warnings }
     });
   } catch (error) {
     if (error.name === 'SequelizeUniqueConstraintError') {
@@ -65,22 +220,82 @@ export const createUsageLog = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Encode a keyset cursor: the sort it belongs to and the last row's sort value and id
+ * @param {Object} cursor - { sort, order, value, id }
+ * @returns {String} Opaque cursor
+ */
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {String} cursor - Opaque cursor
+ * @returns {Object|null} { sort, order, value, id }, or null if unreadable
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && Number.isInteger(decoded.id) && decoded.value !== undefined ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * @route   GET /api/usage
- * @desc    Get all usage logs for current user (with optional filters)
+ * @desc    Get a page of usage logs for current user (filtered, sorted, cursor-paginated)
  * @access  Private
  */
 export const getUsageLogs = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { startDate, endDate, appName, limit = 100 } = req.query;
+  const timezone = getUserTimezone(req.user);
+  const {
+    startDate,
+    endDate,
+    appName,
+    intention,
+    foundIt,
+    minMinutes,
+    maxMinutes,
+    sort = 'date',
+    order = 'desc',
+    limit = DEFAULT_PAGE_SIZE,
+    cursor
+  } = req.query;
+
+  const fail = (message) => res.status(400).json({ success: false, message });
+
+  if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+    return fail('startDate and endDate must be valid dates');
+  }
+  if (!Object.hasOwn(SORT_FIELDS, sort)) {
+    return fail(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return fail('order must be asc or desc');
+  }
+
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return fail(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const minutesRange = [minMinutes, maxMinutes].map(value => (value === undefined || value === '' ? null : Number(value)));
+  if (minutesRange.some(value => value !== null && (isNaN(value) || value < 0 || value > 1440))) {
+    return fail('minMinutes and maxMinutes must be between 0 and 1440');
+  }
+
+  if (foundIt !== undefined && !Object.hasOwn(FOUND_IT_FILTERS, foundIt)) {
+    return fail(`foundIt must be one of: ${Object.keys(FOUND_IT_FILTERS).join(', ')}`);
+  }
 
   // Build query
   const where = { userId };
 
   if (startDate || endDate) {
     where.date = {};
-    if (startDate) where.date[Op.gte] = startDate;
-    if (endDate) where.date[Op.lte] = endDate;
+    if (startDate) where.date[Op.gte] = toDateKey(startDate, timezone);
+    if (endDate) where.date[Op.lte] = toDateKey(endDate, timezone);
   }
 
   if (appName) {
@@ -89,18 +304,68 @@ export const getUsageLogs = asyncHandler(async (req, res) => {
     };
   }
 
-  // Fetch logs
-  const logs = await UsageLog.findAll({
-    where,
-    order: [['date', 'DESC'], ['createdAt', 'DESC']],
-    limit: parseInt(limit)
-  });
+  const [minimum, maximum] = minutesRange;
+  if (minimum !== null || maximum !== null) {
+    where.minutesSpent = {};
+    if (minimum !== null) where.minutesSpent[Op.gte] = minimum;
+    if (maximum !== null) where.minutesSpent[Op.lte] = maximum;
+  }
+
+  if (intention) {
+    where.intention = {
+      [Op.like]: `%${intention}%`
+    };
+  }
+
+  if (foundIt !== undefined) {
+    where.foundIt = FOUND_IT_FILTERS[foundIt].value;
+  }
+
+  // Keyset pagination: continue after the last row of the previous page, with id breaking ties
+  const sortField = SORT_FIELDS[sort];
+  const pageWhere = { ...where };
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      return fail('Invalid cursor');
+    }
+    if (position.sort !== sort || position.order !== order) {
+      return fail('cursor belongs to a different sort; start again without a cursor');
+    }
+
+    const after = order === 'desc' ? Op.lt : Op.gt;
+    pageWhere[Op.and] = [{
+      [Op.or]: [
+        { [sortField]: { [after]: position.value } },
+        { [sortField]: position.value, id: { [after]: position.id } }
+      ]
+    }];
+  }
+
+  // One extra row tells whether another page follows
+  const [rows, total] = await Promise.all([
+    UsageLog.findAll({
+      where: pageWhere,
+      order: [[sortField, order.toUpperCase()], ['id', order.toUpperCase()]],
+      limit: pageSize + 1
+    }),
+    UsageLog.count({ where })
+  ]);
+
+  const logs = rows.slice(0, pageSize);
+  const last = logs[logs.length - 1];
+  const nextCursor = rows.length > pageSize
+    ? encodeCursor({ sort, order, value: last[sortField], id: last.id })
+    : null;
 
   res.json({
     success: true,
     data: {
       logs,
-      count: logs.length
+      count: logs.length,
+      total,
+      nextCursor
     }
   });
 });
@@ -139,7 +404,8 @@ export const getUsageLogById = asyncHandler(async (req, res) => {
 export const updateUsageLog = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
-  const { appName, minutesSpent, date, intention, foundIt } = req.body;
+  const { appName, minutesSpent, date, intention, foundIt, startHour, acknowledged } = req.body;
+  const logDate = date ? toDateKey(date, getUserTimezone(req.user)) : null;
 
   // Find log and verify ownership
   const usageLog = await UsageLog.findOne({
@@ -153,18 +419,11 @@ export const updateUsageLog = asyncHandler(async (req, res) => {
     });
   }
 
+  const canonicalAppName = appName ? await App.canonicalName(appName) : null;
+
   // Check for duplicate if appName or date is being changed
-  if ((appName && appName !== usageLog.appName) || (date && date !== usageLog.date.toISOString().split('T')[0])) {
-    const logDate = date ? new Date(date).toISOString().split('T')[0] : usageLog.date.toISOString().split('T')[0];
-
-    const existing = await UsageLog.findOne({
-      where: {
-        userId,
-        appName: appName || usageLog.appName,
-        date: logDate,
-        id: { [Op.ne]: id }
-      }
-    });
+  if ((canonicalAppName && canonicalAppName !== usageLog.appName) || (logDate && logDate !== usageLog.date)) {
+    const existing = await findDuplicateLog(userId, canonicalAppName || usageLog.appName, logDate || usageLog.date, { excludeId: usageLog.id });
 
     if (existing) {
       return res.status(400).json({
@@ -174,21 +433,38 @@ export const updateUsageLog = asyncHandler(async (req, res) => {
     }
   }
 
+  // Only a change to the app, date or minutes can make the entry unusual
+  const nextAppName = canonicalAppName || usageLog.appName;
+  const nextDate = logDate || usageLog.date;
+  const nextMinutes = minutesSpent !== undefined ? parseFloat(minutesSpent) : parseFloat(usageLog.minutesSpent);
+  const changed = nextAppName !== usageLog.appName || nextDate !== usageLog.date ||
+    nextMinutes !== parseFloat(usageLog.minutesSpent);
+
+  const warnings = changed ? await findAnomalies(userId, nextAppName, nextDate, nextMinutes) : [];
+  if (warnings.length > 0 && String(acknowledged) !== 'true') {
+    return requireAcknowledgement(res, warnings);
+  }
+
   // Update fields
-  if (appName) usageLog.appName = appName;
+  if (canonicalAppName) usageLog.appName = canonicalAppName;
+  // Hand-edited minutes no longer follow the sessions, so later session changes leave them alone
+  if (nextMinutes !== parseFloat(usageLog.minutesSpent)) usageLog.source = 'manual';
   if (minutesSpent !== undefined) usageLog.minutesSpent = parseFloat(minutesSpent);
-  if (date) {
-    usageLog.date = new Date(date).toISOString().split('T')[0];
+  if (logDate) {
+    usageLog.date = logDate;
   }
   if (intention !== undefined) usageLog.intention = intention ? intention.trim() : null;
   if (foundIt !== undefined) usageLog.foundIt = foundIt !== null ? Boolean(foundIt) : null;
+  if (startHour !== undefined) usageLog.startHour = startHour !== null ? parseInt(startHour) : null;
 
   await usageLog.save();
 
+  const { limitStatus, limitAlert } = await checkAppLimit(usageLog);
+
   res.json({
     success: true,
     message: 'Usage log updated successfully',
-    data: { usageLog }
+    data: { usageLog, limitStatus, limitAlert, warnings }
   });
 });
 
@@ -219,3 +495,309 @@ export const deleteUsageLog = asyncHandler(async (req, res) => {
     message: 'Usage log deleted successfully'
   });
 });
+
+/**
+ * @route   GET /api/usage/export
+ * @desc    Download all usage logs as CSV or JSON (streamed in batches)
+ * @access  Private
+ */
+export const exportUsageLogs = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { format = 'csv', startDate, endDate } = req.query;
+  const timezone = getUserTimezone(req.user);
+
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be csv or json'
+    });
+  }
+
+  if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'startDate and endDate must be valid dates'
+    });
+  }
+
+  const where = { userId };
+
+  if (startDate || endDate) {
+    where.date = {};
+    if (startDate) where.date[Op.gte] = toDateKey(startDate, timezone);
+    if (endDate) where.date[Op.lte] = toDateKey(endDate, timezone);
+  }
+
+  // date is DATEONLY and already a YYYY-MM-DD string; timestamps are written as ISO 8601 UTC
+  const toExportRow = (log) => EXPORT_FIELDS.map(field => {
+    if (field === 'minutesSpent') return parseFloat(log.minutesSpent);
+    return log[field];
+  });
+  const toExportObject = (log) => {
+    const row = toExportRow(log);
+    return Object.fromEntries(EXPORT_FIELDS.map((field, index) => [field, row[index]]));
+  };
+
+  const filename = `usage-logs-${getToday(timezone)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.write(toCsvRow(EXPORT_FIELDS));
+  } else {
+    res.write('[');
+  }
+
+  // Paged by (date, id) rather than by offset, so logs saved mid-export don't shift
+  // later pages and cause rows to be repeated or skipped
+  let lastLog = null;
+  let isFirst = true;
+
+  try {
+    while (true) {
+      const afterLastLog = lastLog && {
+        [Op.or]: [
+          { date: { [Op.gt]: lastLog.date } },
+          { date: lastLog.date, id: { [Op.gt]: lastLog.id } }
+        ]
+      };
+      const batch = await UsageLog.findAll({
+        where: afterLastLog ? { [Op.and]: [where, afterLastLog] } : where,
+        order: [['date', 'ASC'], ['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE
+      });
+
+      batch.forEach(log => {
+        if (format === 'csv') {
+          res.write(toCsvRow(toExportRow(log)));
+        } else {
+          res.write(`${isFirst ? '' : ','}\n${JSON.stringify(toExportObject(log))}`);
+          isFirst = false;
+        }
+      });
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+      lastLog = batch[batch.length - 1];
+    }
+  } catch (error) {
+    if (!res.headersSent) throw error;
+
+    // Part of the file is already sent, so the error handler can't reply; aborting the
+    // response lets the client see the download failed instead of a truncated file
+    console.error('[Export] Usage log export failed mid-stream:', error.message);
+    res.destroy(error);
+    return;
+  }
+
+  if (format === 'json') {
+    res.write('\n]\n');
+  }
+
+  res.end();
+});
+
+/**
+ * Apply one batch operation inside a transaction
+ * Throws an error with statusCode when the operation can't be applied,
+ * which rolls back the whole batch
+ * @param {Number} userId - User ID
+ * @param {Object} operation - { action, id, data } with data already validated
+ * @param {Object} transaction - Sequelize transaction
+ * @param {String} timezone - User's timezone, for dates given as timestamps or left out
+ * @returns {Object} Saved usage log, or the deleted log's ID
+ */
+const applyUsageOperation = async (userId, { action, id, data }, transaction, timezone) => {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+
+  const logDate = (value) => toDateKey(value, timezone);
+
+  const appName = data ? await App.canonicalName(data.appName, { transaction }) : null;
+
+  if (action === 'create') {
+    const date = data.date ? logDate(data.date) : getToday(timezone);
+
+    if (await findDuplicateLog(userId, appName, date, { transaction })) {
+      fail(400, `Usage entry for ${appName} already exists for this date`);
+    }
+
+    const usageLog = await UsageLog.create({
+      userId,
+      appName,
+      minutesSpent: parseFloat(data.minutesSpent),
+      date,
+      intention: data.intention ? data.intention.trim() : null,
+      foundIt: data.foundIt !== undefined && data.foundIt !== null ? Boolean(data.foundIt) : null,
+      startHour: data.startHour !== undefined && data.startHour !== null ? parseInt(data.startHour) : null
+    }, { transaction });
+
+    return { usageLog };
+  }
+
+  const usageLog = await UsageLog.findOne({ where: { id, userId }, transaction });
+
+  if (!usageLog) {
+    fail(404, 'Usage log not found');
+  }
+
+  if (action === 'delete') {
+    await usageLog.destroy({ transaction });
+    return { id: usageLog.id };
+  }
+
+  // update: fields left out keep their current values, as with PUT /api/usage/:id
+  const date = data.date ? logDate(data.date) : usageLog.date;
+  if (appName !== usageLog.appName || date !== usageLog.date) {
+    if (await findDuplicateLog(userId, appName, date, { excludeId: usageLog.id, transaction })) {
+      fail(400, 'A usage entry for this app and date already exists');
+    }
+  }
+
+  usageLog.appName = appName;
+  if (parseFloat(data.minutesSpent) !== parseFloat(usageLog.minutesSpent)) usageLog.source = 'manual';
+  usageLog.minutesSpent = parseFloat(data.minutesSpent);
+  usageLog.date = date;
+  if (data.intention !== undefined) usageLog.intention = data.intention ? data.intention.trim() : null;
+  if (data.foundIt !== undefined) usageLog.foundIt = data.foundIt !== null ? Boolean(data.foundIt) : null;
+  if (data.startHour !== undefined) usageLog.startHour = data.startHour !== null ? parseInt(data.startHour) : null;
+
+  await usageLog.save({ transaction });
+
+  return { usageLog };
+};
+
+/**
+ * @route   POST /api/usage/batch
+ * @desc    Create, update and delete usage logs in a single transaction
+ * @access  Private
+ */
+export const batchUsageLogs = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+  const { operations, acknowledged } = req.body;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'operations must be a non-empty array'
+    });
+  }
+
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({
+      success: false,
+      message: `Batches are limited to ${MAX_BATCH_OPERATIONS} operations`
+    });
+  }
+
+  // Validate everything before touching the database
+  const prepared = [];
+  const results = [];
+
+  for (let index = 0; index < operations.length; index++) {
+    const { action, id, data } = operations[index] || {};
+    const errors = [];
+    let validData = null;
+
+    if (!BATCH_ACTIONS.includes(action)) {
+      errors.push('action must be create, update or delete');
+    }
+    if ((action === 'update' || action === 'delete') && !id) {
+      errors.push('id is required for update and delete');
+    }
+    if (action === 'create' || action === 'update') {
+      const validation = await validateUsageRow(data || {});
+      errors.push(...validation.errors);
+      validData = validation.row;
+    }
+
+    results.push({ index, action, id: id || null, status: errors.length > 0 ? 'invalid' : 'pending', ...(errors.length > 0 && { errors }) });
+    prepared.push({ action, id, data: validData });
+  }
+
+  if (results.some(result => result.status === 'invalid')) {
+    return res.status(400).json({
+      success: false,
+      message: 'No changes were saved because some operations are invalid',
+      data: { results: results.map(result => result.status === 'pending' ? { ...result, status: 'not_applied' } : result) }
+    });
+  }
+
+  // Unusual entries need confirming before anything is saved, as with single entries
+  const warningsByIndex = new Map();
+  for (let index = 0; index < prepared.length; index++) {
+    const warnings = await findOperationAnomalies(userId, prepared[index], timezone);
+    if (warnings.length > 0) warningsByIndex.set(index, warnings);
+  }
+
+  if (warningsByIndex.size > 0 && String(acknowledged) !== 'true') {
+    return res.status(409).json({
+      success: false,
+      message: 'Some entries look unusual. Check them, or resend the batch with acknowledged: true to save them as they are.',
+      data: {
+        results: results.map(result => warningsByIndex.has(result.index)
+          ? { ...result, status: 'unusual', warnings: warningsByIndex.get(result.index) }
+          : { ...result, status: 'not_applied' })
+      }
+    });
+  }
+
+  // Operations run in order, so later ones see the effect of earlier ones
+  let failedIndex = null;
+  const applied = [];
+
+  try {
+    await sequelize.transaction(async (transaction) => {
+      for (let index = 0; index < prepared.length; index++) {
+        failedIndex = index;
+        applied.push(await applyUsageOperation(userId, prepared[index], transaction, timezone));
+      }
+      failedIndex = null;
+    });
+  } catch (error) {
+    if (failedIndex === null || !error.statusCode) {
+      throw error;
+    }
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: `Operation ${failedIndex} failed, no changes were saved: ${error.message}`,
+      data: {
+        results: results.map(result => result.index === failedIndex
+          ? { ...result, status: 'failed', errors: [error.message] }
+          : { ...result, status: 'not_applied' })
+      }
+    });
+  }
+
+  const finalResults = [];
+  for (let index = 0; index < applied.length; index++) {
+    const { usageLog } = applied[index];
+    const action = prepared[index].action;
+
+    if (!usageLog) {
+      finalResults.push({ ...results[index], status: 'deleted' });
+      continue;
+    }
+
+    const { limitStatus, limitAlert } = await checkAppLimit(usageLog);
+    finalResults.push({
+      ...results[index],
+      id: usageLog.id,
+      status: action === 'create' ? 'created' : 'updated',
+      usageLog,
+      limitStatus,
+      limitAlert,
+      ...(warningsByIndex.has(index) && { warnings: warningsByIndex.get(index) })
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Batch applied successfully',
+    data: { results: finalResults }
+  });
+});
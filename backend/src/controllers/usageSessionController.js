@@ -0,0 +1,306 @@
+import UsageSession from '../models/UsageSession.js';
+import UsageLog from '../models/UsageLog.js';
+import App from '../models/App.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { Op } from 'sequelize';
+import { getUserTimezone, getDayBounds, getHourInTimezone, toDateKey } from '../utils/dateUtils.js';
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Find a manual usage log for a user/app/date
+ * Sessions can't be recorded on a day that already has a manual entry for the app,
+ * since deriving the day's total from them would overwrite the manual minutes
+ * @param {Number} userId - User ID
+ * @param {String} appName - App name
+ * @param {String} date - Date string (YYYY-MM-DD)
+ * @returns {Object|null} Manual usage log
+ */
+const findManualLog = (userId, appName, date) => UsageLog.findOne({
+  where: { userId, appName, date, source: 'manual' }
+});
+
+/**
+ * Refuse a session whose day already has a manual entry for the app
+ * @param {Object} res - Express response
+ * @param {Object} usageLog - The manual usage log
+ */
+const manualLogConflict = (res, usageLog) => res.status(409).json({
+  success: false,
+  message: `A manual ${usageLog.appName} entry already exists for ${usageLog.date}. ` +
+    'Update or delete that entry before recording sessions for this day.',
+  data: { usageLog }
+});
+
+/**
+ * Recompute the daily UsageLog for a user/app/date from its sessions
+ * Creates the log on the first session, removes it when the last session is deleted.
+ * Manual logs are left exactly as they are.
+ * @param {Number} userId - User ID
+ * @param {String} appName - App name
+ * @param {String} date - Date string (YYYY-MM-DD)
+ * @param {String} timezone - User's timezone, which decides where the day starts and ends
+ * @returns {Object|null} The day's usage log, or null if no sessions remain
+ */
+const syncUsageLogFromSessions = async (userId, appName, date, timezone) => {
+  const usageLog = await UsageLog.findOne({
+    where: { userId, appName, date }
+  });
+
+  if (usageLog && usageLog.source !== 'sessions') {
+    return usageLog;
+  }
+
+  const { start, end } = getDayBounds(date, timezone);
+  const sessions = await UsageSession.findAll({
+    where: {
+      userId,
+      appName,
+      startedAt: {
+        [Op.between]: [start, end]
+      }
+    }
+  });
+
+  if (sessions.length === 0) {
+    if (usageLog) {
+      await usageLog.destroy();
+    }
+    return null;
+  }
+
+  const totalMinutes = sessions.reduce((sum, session) => sum + session.getDurationMinutes(), 0);
+  // Overlapping sessions can add up to more than a day; UsageLog caps at 1440
+  const minutesSpent = Math.min(1440, Math.round(totalMinutes * 100) / 100);
+
+  const longer = (longest, session) =>
+    session.getDurationMinutes() > longest.getDurationMinutes() ? session : longest;
+
+  // The day's start hour is taken from the session where most of the time was spent
+  const longestSession = sessions.reduce(longer);
+  const startHour = getHourInTimezone(longestSession.startedAt, timezone);
+
+  // Intention and foundIt come from the longest session that recorded an intention,
+  // so the mirror and regret analyses see session-tracked usage too
+  const sessionsWithIntention = sessions.filter(session => session.intention);
+  const intentSession = sessionsWithIntention.length > 0
+    ? sessionsWithIntention.reduce(longer)
+    : longestSession;
+
+  if (usageLog) {
+    usageLog.minutesSpent = minutesSpent;
+    usageLog.sessionCount = sessions.length;
+    usageLog.startHour = startHour;
+    usageLog.intention = intentSession.intention;
+    usageLog.foundIt = intentSession.foundIt;
+    await usageLog.save();
+    return usageLog;
+  }
+
+  return UsageLog.create({
+    userId,
+    appName,
+    minutesSpent,
+    date,
+    sessionCount: sessions.length,
+    startHour,
+    intention: intentSession.intention,
+    foundIt: intentSession.foundIt,
+    source: 'sessions'
+  });
+};
+
+/**
+ * @route   POST /api/usage/sessions
+ * @desc    Record a usage session and update the daily total
+ * @access  Private
+ */
+export const createUsageSession = asyncHandler(async (req, res) => {
+  const { appName, startedAt, endedAt, intention, foundIt } = req.body;
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+
+  const session = UsageSession.build({
+    userId,
+    appName: await App.canonicalName(appName),
+    startedAt: new Date(startedAt),
+    endedAt: new Date(endedAt),
+    intention: intention ? intention.trim() : null,
+    foundIt: foundIt !== undefined && foundIt !== null ? Boolean(foundIt) : null
+  });
+
+  const manualLog = await findManualLog(userId, session.appName, session.getLogDate(timezone));
+  if (manualLog) {
+    return manualLogConflict(res, manualLog);
+  }
+
+  await session.save();
+
+  const usageLog = await syncUsageLogFromSessions(userId, session.appName, session.getLogDate(timezone), timezone);
+
+  res.status(201).json({
+    success: true,
+    message: 'Usage session recorded successfully',
+    data: { session, usageLog }
+  });
+});
+
+/**
+ * @route   GET /api/usage/sessions
+ * @desc    Get usage sessions for current user (with optional filters)
+ * @access  Private
+ */
+export const getUsageSessions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+  const { startDate, endDate, appName, limit = 100 } = req.query;
+
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`
+    });
+  }
+
+  const where = { userId };
+
+  if (startDate || endDate) {
+    where.startedAt = {};
+    if (startDate) where.startedAt[Op.gte] = getDayBounds(toDateKey(startDate, timezone), timezone).start;
+    if (endDate) where.startedAt[Op.lte] = getDayBounds(toDateKey(endDate, timezone), timezone).end;
+  }
+
+  if (appName) {
+    where.appName = {
+      [Op.like]: `%${appName}%`
+    };
+  }
+
+  const sessions = await UsageSession.findAll({
+    where,
+    order: [['startedAt', 'DESC']],
+    limit: pageSize
+  });
+
+  res.json({
+    success: true,
+    data: {
+      sessions,
+      count: sessions.length
+    }
+  });
+});
+
+/**
+ * @route   GET /api/usage/sessions/:id
+ * @desc    Get a specific usage session by ID
+ * @access  Private
+ */
+export const getUsageSessionById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const session = await UsageSession.findOne({
+    where: { id, userId }
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Usage session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { session }
+  });
+});
+
+/**
+ * @route   PUT /api/usage/sessions/:id
+ * @desc    Update a usage session and re-derive affected daily totals
+ * @access  Private
+ */
+export const updateUsageSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+  const { appName, startedAt, endedAt, intention, foundIt } = req.body;
+
+  const session = await UsageSession.findOne({
+    where: { id, userId }
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Usage session not found'
+    });
+  }
+
+  // Remember the previous day/app so its total can be recomputed if the session moves
+  const previousAppName = session.appName;
+  const previousDate = session.getLogDate(timezone);
+
+  if (appName) session.appName = await App.canonicalName(appName);
+  if (startedAt) session.startedAt = new Date(startedAt);
+  if (endedAt) session.endedAt = new Date(endedAt);
+  if (intention !== undefined) session.intention = intention ? intention.trim() : null;
+  if (foundIt !== undefined) session.foundIt = foundIt !== null ? Boolean(foundIt) : null;
+
+  if (previousAppName !== session.appName || previousDate !== session.getLogDate(timezone)) {
+    const manualLog = await findManualLog(userId, session.appName, session.getLogDate(timezone));
+    if (manualLog) {
+      return manualLogConflict(res, manualLog);
+    }
+  }
+
+  await session.save();
+
+  const usageLog = await syncUsageLogFromSessions(userId, session.appName, session.getLogDate(timezone), timezone);
+
+  if (previousAppName !== session.appName || previousDate !== session.getLogDate(timezone)) {
+    await syncUsageLogFromSessions(userId, previousAppName, previousDate, timezone);
+  }
+
+  res.json({
+    success: true,
+    message: 'Usage session updated successfully',
+    data: { session, usageLog }
+  });
+});
+
+/**
+ * @route   DELETE /api/usage/sessions/:id
+ * @desc    Delete a usage session and update the daily total
+ * @access  Private
+ */
+export const deleteUsageSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const timezone = getUserTimezone(req.user);
+
+  const session = await UsageSession.findOne({
+    where: { id, userId }
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Usage session not found'
+    });
+  }
+
+  const { appName } = session;
+  const logDate = session.getLogDate(timezone);
+
+  await session.destroy();
+  await syncUsageLogFromSessions(userId, appName, logDate, timezone);
+
+  res.json({
+    success: true,
+    message: 'Usage session deleted successfully'
+  });
+});
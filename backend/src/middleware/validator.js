@@ -1,4 +1,5 @@
 import { body, validationResult } from 'express-validator';
+import { WEEK_STARTS, isValidTimezone } from '../utils/dateUtils.js';
 
 /**
  * Validation result handler
@@ -51,6 +52,11 @@ export const validateRegister = [
     .withMessage('Password is required')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone, e.g. Europe/London'),
   
   validate
 ];
@@ -75,9 +81,31 @@ export const validateLogin = [
 ];
 
 /**
- * Usage log validation rules
+ * Profile update validation rules
  */
-export const validateUsageLog = [
+export const validateProfile = [
+  body()
+    .custom(value => value && (value.timezone !== undefined || value.weekStart !== undefined))
+    .withMessage('Provide timezone or weekStart to update'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone, e.g. Europe/London'),
+
+  body('weekStart')
+    .optional()
+    .isIn(WEEK_STARTS)
+    .withMessage(`Week start must be one of: ${WEEK_STARTS.join(', ')}`),
+
+  validate
+];
+
+/**
+ * Usage log field rules
+ * Shared by the single-entry routes and bulk import (see validateUsageRow)
+ */
+export const usageLogRules = [
   body('appName')
     .trim()
     .notEmpty()
@@ -93,6 +121,178 @@ export const validateUsageLog = [
     .optional()
     .isISO8601()
     .withMessage('Date must be a valid ISO 8601 date'),
-  
+
+  body('startHour')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Start hour must be between 0 and 23')
+];
+
+/**
+ * Usage log validation rules
+ */
+export const validateUsageLog = [
+  ...usageLogRules,
+
+  body('acknowledged')
+    .optional()
+    .isBoolean()
+    .withMessage('acknowledged must be true or false'),
+
+  validate
+];
+
+/**
+ * Run the usage log rules against a single row outside of a request
+ * Sanitizers (e.g. trim) are applied to the returned row
+ * @param {Object} row - Raw usage log fields
+ * @returns {Object} { row, errors } where errors is an array of messages
+ */
+export const validateUsageRow = async (row) => {
+  const fakeReq = { body: { ...row } };
+
+  for (const rule of usageLogRules) {
+    await rule.run(fakeReq);
+  }
+
+  const errors = validationResult(fakeReq).array().map(error => error.msg);
+
+  return { row: fakeReq.body, errors };
+};
+
+/**
+ * Usage session validation rules
+ */
+export const validateUsageSession = [
+  body('appName')
+    .trim()
+    .notEmpty()
+    .withMessage('App name is required')
+    .isLength({ max: 100 })
+    .withMessage('App name cannot exceed 100 characters'),
+
+  body('startedAt')
+    .notEmpty()
+    .withMessage('Session start time is required')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 timestamp'),
+
+  body('endedAt')
+    .notEmpty()
+    .withMessage('Session end time is required')
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 timestamp')
+    .custom((endedAt, { req }) => {
+      const duration = new Date(endedAt) - new Date(req.body.startedAt);
+      if (duration <= 0) {
+        throw new Error('Session end time must be after its start time');
+      }
+      if (duration > 24 * 60 * 60 * 1000) {
+        throw new Error('A session cannot last longer than 24 hours');
+      }
+      return true;
+    }),
+
+  body('intention')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('Intention cannot exceed 200 characters'),
+
+  body('foundIt')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('foundIt must be true, false or null'),
+
+  validate
+];
+
+/**
+ * App limit validation rules
+ */
+export const validateAppLimit = [
+  body('appName')
+    .trim()
+    .notEmpty()
+    .withMessage('App name is required')
+    .isLength({ max: 100 })
+    .withMessage('App name cannot exceed 100 characters'),
+
+  body('dailyLimitMinutes')
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Daily limit must be a whole number of minutes between 1 and 1440'),
+
+  validate
+];
+
+/**
+ * Goal validation rules
+ */
+export const validateGoal = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Goal title is required')
+    .isLength({ max: 100 })
+    .withMessage('Goal title cannot exceed 100 characters'),
+
+  body('type')
+    .isIn(['total_daily', 'per_app', 'days_off'])
+    .withMessage('Goal type must be total_daily, per_app or days_off'),
+
+  body('appName')
+    .if(body('type').equals('per_app'))
+    .trim()
+    .notEmpty()
+    .withMessage('App name is required for per-app goals'),
+
+  body('appName')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('App name cannot exceed 100 characters'),
+
+  body('targetMinutes')
+    .if(body('type').isIn(['total_daily', 'per_app']))
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Target minutes must be between 0 and 1440'),
+
+  body('targetDays')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Target days must be between 1 and 365'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  validate
+];
+
+/**
+ * Intervention validation rules
+ */
+export const validateIntervention = [
+  body('label')
+    .trim()
+    .notEmpty()
+    .withMessage('Intervention label is required')
+    .isLength({ max: 100 })
+    .withMessage('Intervention label cannot exceed 100 characters'),
+
+  body('date')
+    .notEmpty()
+    .withMessage('Intervention date is required')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
   validate
 ];
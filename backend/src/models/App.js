@@ -0,0 +1,110 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import {
+  APP_CATEGORIES,
+  DEFAULT_APPS,
+  buildAppLookup,
+  findCatalogApp
+} from '../utils/appCatalog.js';
+
+/**
+ * App Model
+ * Catalog of known apps with canonical names, aliases and categories
+ * Usage logs point at their catalog entry so spelling variants count as one app
+ */
+const App = sequelize.define('App', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  // Lowercase alternative names, package names and bundle IDs
+  aliases: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  icon: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  category: {
+    type: DataTypes.ENUM(...APP_CATEGORIES),
+    allowNull: false,
+    defaultValue: 'other'
+  }
+}, {
+  tableName: 'apps',
+  timestamps: true
+});
+
+// The catalog only changes through seeding, so the lookup is loaded once per process
+let lookupCache = null;
+
+/**
+ * Resolve a typed app name or alias to its catalog entry
+ * @param {String} name - App name as entered
+ * @param {Object} options - Query options (e.g. transaction)
+ * @returns {Object|null} Catalog app
+ */
+App.resolve = async (name, options = {}) => {
+  if (!lookupCache) {
+    const apps = await App.findAll({ transaction: options.transaction });
+    lookupCache = buildAppLookup(apps);
+  }
+  return findCatalogApp(lookupCache, name);
+};
+
+/**
+ * Canonical name for a typed app name; unknown apps keep the name as entered
+ * @param {String} name - App name as entered
+ * @param {Object} options - Query options (e.g. transaction)
+ * @returns {String} App name to store
+ */
+App.canonicalName = async (name, options = {}) => {
+  const app = await App.resolve(name, options);
+  return app ? app.name : String(name).trim();
+};
+
+/**
+ * Insert missing default apps and link existing usage logs to the catalog
+ * Existing log names are left as entered; analytics read the canonical name via the catalog
+ */
+App.seedDefaults = async () => {
+  for (const app of DEFAULT_APPS) {
+    const [record, created] = await App.findOrCreate({
+      where: { name: app.name },
+      defaults: app
+    });
+
+    // Pick up aliases added to DEFAULT_APPS since the last seed
+    if (!created) {
+      const aliases = [...new Set([...(record.aliases || []), ...app.aliases])];
+      if (aliases.length !== (record.aliases || []).length) {
+        await record.update({ aliases });
+      }
+    }
+  }
+
+  lookupCache = null;
+
+  const apps = await App.findAll();
+  for (const app of apps) {
+    const names = [app.name, ...(app.aliases || [])].map(name => name.toLowerCase());
+    await sequelize.query(
+      'UPDATE usage_logs SET app_id = :appId WHERE app_id IS NULL AND LOWER(app_name) IN (:names)',
+      { replacements: { appId: app.id, names } }
+    );
+  }
+};
+
+export default App;
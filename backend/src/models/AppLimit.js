@@ -0,0 +1,54 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * AppLimit Model
+ * Daily time budget a user sets for an app (e.g. YouTube max 45 min/day)
+ * One limit per user/app combination
+ */
+const AppLimit = sequelize.define('AppLimit', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  appName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    },
+    field: 'app_name'
+  },
+  dailyLimitMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 1440
+    },
+    field: 'daily_limit_minutes'
+  }
+}, {
+  tableName: 'app_limits',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'app_name'],
+      name: 'unique_user_app_limit'
+    }
+  ]
+});
+
+export default AppLimit;
@@ -0,0 +1,134 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { LATE_NIGHT_START_HOUR, LATE_NIGHT_END_HOUR } from '../utils/analyticsEngine.js';
+import { toDateKey } from '../utils/dateUtils.js';
+
+/**
+ * DailyUsageRollup Model
+ * One row per user and day with the day's usage totals, so analytics read a row
+ * per day instead of every log. Kept up to date by the UsageLog hooks; a day
+ * without logs has no row.
+ */
+const DailyUsageRollup = sequelize.define('DailyUsageRollup', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  totalMinutes: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_minutes'
+  },
+  entryCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'entry_count'
+  },
+  // Entries with a known start hour, and how many of those started late at night
+  timedEntryCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'timed_entry_count'
+  },
+  lateNightCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'late_night_count'
+  }
+}, {
+  tableName: 'daily_usage_rollups',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'date'],
+      name: 'unique_user_rollup_date'
+    }
+  ]
+});
+
+// Totals per user and day, straight from usage_logs
+const ROLLUP_COLUMNS = `
+  SUM(l.minutes_spent),
+  COUNT(*),
+  SUM(CASE WHEN l.start_hour IS NOT NULL THEN 1 ELSE 0 END),
+  SUM(CASE WHEN l.start_hour >= ${LATE_NIGHT_START_HOUR} OR l.start_hour < ${LATE_NIGHT_END_HOUR} THEN 1 ELSE 0 END),
+  NOW(),
+  NOW()`;
+
+const INSERT_ROLLUPS = `
+  INSERT INTO daily_usage_rollups
+    (user_id, date, total_minutes, entry_count, timed_entry_count, late_night_count, created_at, updated_at)`;
+
+/**
+ * Recompute the rollups for some of a user's days
+ * Days whose last log is gone lose their row
+ * @param {Number} userId - User ID
+ * @param {Array} dates - Days to recompute (YYYY-MM-DD, or DATEONLY values as Sequelize holds them)
+ * @param {Object} options - Query options (e.g. transaction)
+ */
+DailyUsageRollup.refreshDays = async (userId, dates, options = {}) => {
+  const days = [...new Set(dates.map(date => toDateKey(date)).filter(Boolean))];
+  if (days.length === 0) return;
+
+  const replacements = { userId, dates: days };
+
+  await sequelize.query(
+    `${INSERT_ROLLUPS}
+     SELECT l.user_id, l.date, ${ROLLUP_COLUMNS}
+     FROM usage_logs l
+     WHERE l.user_id = :userId AND l.date IN (:dates)
+     GROUP BY l.user_id, l.date
+     ON DUPLICATE KEY UPDATE
+       total_minutes = VALUES(total_minutes),
+       entry_count = VALUES(entry_count),
+       timed_entry_count = VALUES(timed_entry_count),
+       late_night_count = VALUES(late_night_count),
+       updated_at = VALUES(updated_at)`,
+    { replacements, transaction: options.transaction }
+  );
+
+  await sequelize.query(
+    `DELETE FROM daily_usage_rollups
+     WHERE user_id = :userId AND date IN (:dates)
+       AND NOT EXISTS (
+         SELECT 1 FROM usage_logs l
+         WHERE l.user_id = daily_usage_rollups.user_id AND l.date = daily_usage_rollups.date
+       )`,
+    { replacements, transaction: options.transaction }
+  );
+};
+
+/**
+ * Create rollups for days that have logs but no rollup yet (e.g. logs from before rollups existed)
+ */
+DailyUsageRollup.backfill = async () => {
+  await sequelize.query(
+    `${INSERT_ROLLUPS}
+     SELECT l.user_id, l.date, ${ROLLUP_COLUMNS}
+     FROM usage_logs l
+     LEFT JOIN daily_usage_rollups r ON r.user_id = l.user_id AND r.date = l.date
+     WHERE r.id IS NULL
+     GROUP BY l.user_id, l.date`
+  );
+};
+
+export default DailyUsageRollup;
@@ -0,0 +1,97 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * Goal Model
+ * A usage target the user tracks day by day
+ *
+ * Goal types:
+ * - total_daily: total usage across all apps stays at or under targetMinutes
+ * - per_app: usage of appName stays at or under targetMinutes
+ * - days_off: no usage at all (or none of appName, if set)
+ */
+const Goal = sequelize.define('Goal', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('total_daily', 'per_app', 'days_off'),
+    allowNull: false
+  },
+  appName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'app_name'
+  },
+  targetMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 1440
+    },
+    field: 'target_minutes'
+  },
+  // Number of consecutive days needed to complete the goal (e.g. 14)
+  targetDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 365
+    },
+    field: 'target_days'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'start_date'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  }
+}, {
+  tableName: 'goals',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'is_active'],
+      name: 'idx_user_active'
+    }
+  ],
+  validate: {
+    targetMatchesType() {
+      if (this.type !== 'days_off' && (this.targetMinutes === null || this.targetMinutes === undefined)) {
+        throw new Error('targetMinutes is required for this goal type');
+      }
+      if (this.type === 'per_app' && !this.appName) {
+        throw new Error('appName is required for per-app goals');
+      }
+    }
+  }
+});
+
+export default Goal;
@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * Intervention Model
+ * A change the user made on a given day (e.g. deleting TikTok), used as the
+ * baseline for a before/after comparison
+ */
+const Intervention = sequelize.define('Intervention', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'interventions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'date'],
+      name: 'idx_user_intervention_date'
+    }
+  ]
+});
+
+export default Intervention;
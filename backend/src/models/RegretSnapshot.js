@@ -0,0 +1,70 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * RegretSnapshot Model
+ * Stores one Future Regret analysis per user per day
+ * Used to show whether regret probability is going down over time
+ */
+const RegretSnapshot = sequelize.define('RegretSnapshot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  snapshotDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'snapshot_date'
+  },
+  regretScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    field: 'regret_score'
+  },
+  regretLevel: {
+    type: DataTypes.ENUM('low', 'medium', 'high'),
+    allowNull: false,
+    field: 'regret_level'
+  },
+  dominantType: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    field: 'dominant_type'
+  },
+  regretTypes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'regret_types'
+  },
+  // Inputs the score was computed from (daily average, late-night frequency, etc.)
+  factors: {
+    type: DataTypes.JSON,
+    allowNull: false
+  }
+}, {
+  tableName: 'regret_snapshots',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'snapshot_date'],
+      name: 'unique_user_snapshot_date'
+    }
+  ]
+});
+
+export default RegretSnapshot;
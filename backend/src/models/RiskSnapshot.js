@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * RiskSnapshot Model
+ * Caches the risk score replayed for a past day (the 7-day window ending that day)
+ * One row per user, day and risk model version
+ */
+const RiskSnapshot = sequelize.define('RiskSnapshot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  snapshotDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'snapshot_date'
+  },
+  modelVersion: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'model_version'
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  level: {
+    type: DataTypes.ENUM('low', 'moderate', 'high'),
+    allowNull: false
+  },
+  factors: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // Summary of the logs in the window; a mismatch means the logs changed and the score is stale
+  sourceKey: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'source_key'
+  }
+}, {
+  tableName: 'risk_snapshots',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'snapshot_date', 'model_version'],
+      name: 'unique_user_snapshot_model'
+    }
+  ]
+});
+
+export default RiskSnapshot;
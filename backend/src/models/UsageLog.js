@@ -1,10 +1,18 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import { isLateNightHour } from '../utils/analyticsEngine.js';
+import App from './App.js';
+import DailyUsageRollup from './DailyUsageRollup.js';
 
 /**
  * UsageLog Model
  * Tracks daily social media usage per app
  * Prevents duplicate entries per user/app/day combination
+ * When sessions are recorded, minutesSpent and sessionCount are derived from them;
+ * source tells those logs apart from manual entries, which sessions never change
+ * Known apps are linked to the App catalog and stored under their canonical name
+ * Saving or destroying a log refreshes its day's DailyUsageRollup; bulk updates and
+ * destroys skip the instance hooks, so they must refresh the rollups themselves
  */
 const UsageLog = sequelize.define('UsageLog', {
   id: {
@@ -30,6 +38,16 @@ const UsageLog = sequelize.define('UsageLog', {
     },
     field: 'app_name'
   },
+  // Catalog entry for appName; null for apps not in the catalog
+  appId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'apps',
+      key: 'id'
+    },
+    field: 'app_id'
+  },
   minutesSpent: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -55,10 +73,70 @@ const UsageLog = sequelize.define('UsageLog', {
     allowNull: true,
     defaultValue: null,
     field: 'found_it'
+  },
+  sessionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: null,
+    field: 'session_count'
+  },
+  // Where minutesSpent comes from: entered by hand, or derived from the day's sessions.
+  // Session syncing only changes or removes 'sessions' logs; editing the minutes makes a log manual
+  source: {
+    type: DataTypes.ENUM('manual', 'sessions'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  // Hour of day (0-23) the usage started; for session-derived logs, the start of the longest session
+  startHour: {
+    type: DataTypes.TINYINT,
+    allowNull: true,
+    defaultValue: null,
+    validate: {
+      min: 0,
+      max: 23
+    },
+    field: 'start_hour'
+  },
+  isLateNight: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const startHour = this.getDataValue('startHour');
+      return startHour === null || startHour === undefined ? null : isLateNightHour(startHour);
+    }
   }
 }, {
   tableName: 'usage_logs',
   timestamps: true,
+  hooks: {
+    beforeSave: async (usageLog, options) => {
+      if (!usageLog.isNewRecord && !usageLog.changed('appName')) {
+        return;
+      }
+
+      const app = await App.resolve(usageLog.appName, { transaction: options.transaction });
+      usageLog.appId = app ? app.id : null;
+      if (app) {
+        usageLog.appName = app.name;
+      }
+    },
+
+    afterCreate: async (usageLog, options) => {
+      await DailyUsageRollup.refreshDays(usageLog.userId, [usageLog.date], options);
+    },
+
+    afterUpdate: async (usageLog, options) => {
+      if (!usageLog.changed('minutesSpent') && !usageLog.changed('date') && !usageLog.changed('startHour')) {
+        return;
+      }
+      // A moved log changes both the day it left and the day it moved to
+      await DailyUsageRollup.refreshDays(usageLog.userId, [usageLog.previous('date'), usageLog.date], options);
+    },
+
+    afterDestroy: async (usageLog, options) => {
+      await DailyUsageRollup.refreshDays(usageLog.userId, [usageLog.date], options);
+    }
+  },
   indexes: [
     {
       unique: true,
@@ -68,6 +146,10 @@ const UsageLog = sequelize.define('UsageLog', {
     {
       fields: ['user_id', 'date'],
       name: 'idx_user_date'
+    },
+    {
+      fields: ['app_id'],
+      name: 'idx_app_id'
     }
   ]
 });
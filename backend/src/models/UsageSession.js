@@ -0,0 +1,95 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { DEFAULT_TIMEZONE, toDateKey } from '../utils/dateUtils.js';
+
+/**
+ * UsageSession Model
+ * Tracks individual app sessions with start/end timestamps
+ * Daily UsageLog totals are derived from these sessions
+ */
+const UsageSession = sequelize.define('UsageSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  appName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    },
+    field: 'app_name'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at'
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ended_at',
+    validate: {
+      isAfterStart(value) {
+        if (new Date(value) <= new Date(this.startedAt)) {
+          throw new Error('Session end time must be after its start time');
+        }
+      }
+    }
+  },
+  intention: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    field: 'intention'
+  },
+  foundIt: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    defaultValue: null,
+    field: 'found_it'
+  }
+}, {
+  tableName: 'usage_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'started_at'],
+      name: 'idx_user_started_at'
+    },
+    {
+      fields: ['user_id', 'app_name', 'started_at'],
+      name: 'idx_user_app_started_at'
+    }
+  ]
+});
+
+/**
+ * Session duration in minutes
+ * @returns {Number} Minutes between startedAt and endedAt
+ */
+UsageSession.prototype.getDurationMinutes = function () {
+  return (new Date(this.endedAt) - new Date(this.startedAt)) / (1000 * 60);
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) the session is attributed to
+ * Sessions that cross midnight count towards the day they started in the user's timezone
+ * @param {String} timezone - IANA timezone (defaults to UTC)
+ * @returns {String} Date string
+ */
+UsageSession.prototype.getLogDate = function (timezone = DEFAULT_TIMEZONE) {
+  return toDateKey(new Date(this.startedAt), timezone);
+};
+
+export default UsageSession;
@@ -1,6 +1,7 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.js';
 import bcrypt from 'bcryptjs';
+import { DEFAULT_TIMEZONE, DEFAULT_WEEK_START, WEEK_STARTS, isValidTimezone } from '../utils/dateUtils.js';
 
 /**
  * User Model
@@ -67,6 +68,27 @@ const User = sequelize.define('User', {
     }
   },
 
+  // IANA timezone (e.g. "Asia/Kolkata"); decides where the user's days start and end
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: DEFAULT_TIMEZONE,
+    validate: {
+      isKnownTimezone(value) {
+        if (!isValidTimezone(value)) {
+          throw new Error('Timezone must be a valid IANA timezone, e.g. Europe/London');
+        }
+      }
+    }
+  },
+
+  // First day of the week for weekly charts and stats
+  weekStart: {
+    type: DataTypes.ENUM(...WEEK_STARTS),
+    allowNull: false,
+    defaultValue: DEFAULT_WEEK_START
+  },
+
   refreshToken: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -2,8 +2,13 @@ import express from 'express';
 import {
   getDashboard,
   getStats,
-  getRiskScore
+  getRiskScore,
+  getAppAnalytics,
+  getHonesty,
+  getMirror,
+  getRegret
 } from '../controllers/analyticsController.js';
+import { getRiskScoreHistory } from '../controllers/riskHistoryController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -14,5 +19,10 @@ router.use(authenticate);
 router.get('/dashboard', getDashboard);
 router.get('/stats', getStats);
 router.get('/risk-score', getRiskScore);
+router.get('/risk-score/history', getRiskScoreHistory);
+router.get('/apps/:appName', getAppAnalytics);
+router.get('/honesty', getHonesty);
+router.get('/mirror', getMirror);
+router.get('/regret', getRegret);
 
 export default router;
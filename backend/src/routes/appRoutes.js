@@ -0,0 +1,12 @@
+import express from 'express';
+import { getApps } from '../controllers/appController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', getApps);
+
+export default router;
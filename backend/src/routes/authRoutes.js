@@ -4,10 +4,11 @@ import {
   login,
   refreshToken,
   logout,
-  getMe
+  getMe,
+  updateMe
 } from '../controllers/authController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
-import { validateRegister, validateLogin } from '../middleware/validator.js';
+import { validateRegister, validateLogin, validateProfile } from '../middleware/validator.js';
 
 const router = express.Router();
 
@@ -19,5 +20,6 @@ router.post('/refresh', refreshToken);
 // Protected routes (require authentication)
 router.post('/logout', authenticate, logout);
 router.get('/me', authenticate, getMe);
+router.put('/me', authenticate, validateProfile, updateMe);
 
 export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  createGoal,
+  getGoals,
+  getGoalById,
+  updateGoal,
+  deleteGoal
+} from '../controllers/goalController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { validateGoal } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.post('/', validateGoal, createGoal);
+router.get('/', getGoals);
+router.get('/:id', getGoalById);
+router.put('/:id', validateGoal, updateGoal);
+router.delete('/:id', deleteGoal);
+
+export default router;
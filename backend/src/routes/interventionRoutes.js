@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  createIntervention,
+  getInterventions,
+  getInterventionById,
+  updateIntervention,
+  deleteIntervention,
+  getInterventionComparison
+} from '../controllers/interventionController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { validateIntervention } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.post('/', validateIntervention, createIntervention);
+router.get('/', getInterventions);
+router.get('/:id', getInterventionById);
+router.get('/:id/comparison', getInterventionComparison);
+router.put('/:id', validateIntervention, updateIntervention);
+router.delete('/:id', deleteIntervention);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  createLimit,
+  getLimits,
+  updateLimit,
+  deleteLimit
+} from '../controllers/limitController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { validateAppLimit } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.post('/', validateAppLimit, createLimit);
+router.get('/', getLimits);
+router.put('/:id', validateAppLimit, updateLimit);
+router.delete('/:id', deleteLimit);
+
+export default router;
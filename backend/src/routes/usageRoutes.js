@@ -4,8 +4,12 @@ import {
   getUsageLogs,
   getUsageLogById,
   updateUsageLog,
-  deleteUsageLog
+  deleteUsageLog,
+  exportUsageLogs,
+  batchUsageLogs
 } from '../controllers/usageController.js';
+import { importUsageLogs } from '../controllers/importController.js';
+import { getUsageAppNames, mergeAppNames } from '../controllers/mergeController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import { validateUsageLog } from '../middleware/validator.js';
 
@@ -15,7 +19,12 @@ const router = express.Router();
 router.use(authenticate);
 
 router.post('/', validateUsageLog, createUsageLog);
+router.post('/import', importUsageLogs);
+router.post('/batch', batchUsageLogs);
+router.post('/merge-apps', mergeAppNames);
 router.get('/', getUsageLogs);
+router.get('/export', exportUsageLogs);
+router.get('/app-names', getUsageAppNames);
 router.get('/:id', getUsageLogById);
 router.put('/:id', validateUsageLog, updateUsageLog);
 router.delete('/:id', deleteUsageLog);
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  createUsageSession,
+  getUsageSessions,
+  getUsageSessionById,
+  updateUsageSession,
+  deleteUsageSession
+} from '../controllers/usageSessionController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { validateUsageSession } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.post('/', validateUsageSession, createUsageSession);
+router.get('/', getUsageSessions);
+router.get('/:id', getUsageSessionById);
+router.put('/:id', validateUsageSession, updateUsageSession);
+router.delete('/:id', deleteUsageSession);
+
+export default router;
@@ -10,7 +10,12 @@ dotenv.config();
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import usageRoutes from './routes/usageRoutes.js';
+import usageSessionRoutes from './routes/usageSessionRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
+import limitRoutes from './routes/limitRoutes.js';
+import goalRoutes from './routes/goalRoutes.js';
+import appRoutes from './routes/appRoutes.js';
+import interventionRoutes from './routes/interventionRoutes.js';
 
 // Initialize Express app
 const app = express();
@@ -20,7 +25,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json());
+// Bulk imports send months of rows in one request
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -34,8 +40,14 @@ app.get('/api/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+// Sessions must be mounted before /api/usage so '/sessions' isn't matched as a log ID
+app.use('/api/usage/sessions', usageSessionRoutes);
 app.use('/api/usage', usageRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/limits', limitRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/apps', appRoutes);
+app.use('/api/interventions', interventionRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -9,6 +9,71 @@
  * - Trend direction (increasing/decreasing)
  */
 
+import {
+  calculateRiskScore as scoreRiskWithModel,
+  calculateRiskMetrics,
+  calculateRiskReductions,
+  getRiskModel
+} from '../../../shared/riskModel.js';
+import { detectTrend } from '../../../shared/trend.js';
+import {
+  DEFAULT_WEEK_START,
+  toDateKey,
+  addDays,
+  getIsoWeek,
+  getPeriodBucket,
+  getDayOfWeek,
+  enumerateDateKeys
+} from './dateUtils.js';
+
+// Late night is 10 PM to 6 AM
+export const LATE_NIGHT_START_HOUR = 22;
+export const LATE_NIGHT_END_HOUR = 6;
+
+/**
+ * Check whether an hour of day falls in the late-night window
+ * @param {Number} hour - Hour of day (0-23)
+ * @returns {Boolean} True if late night
+ */
+export const isLateNightHour = (hour) => {
+  return hour >= LATE_NIGHT_START_HOUR || hour < LATE_NIGHT_END_HOUR;
+};
+
+/**
+ * Calculate the share of usage entries that started late at night
+ * Entries without a known start hour are excluded rather than counted as daytime
+ * @param {Array} logs - Array of usage logs with startHour
+ * @returns {Object} Late-night frequency (0-1) and entry counts
+ */
+export const calculateLateNightFrequency = (logs) => {
+  const timedLogs = (logs || []).filter(log => log.startHour !== null && log.startHour !== undefined);
+  const lateNightCount = timedLogs.filter(log => isLateNightHour(log.startHour)).length;
+
+  return calculateLateNightFrequencyFromCounts(lateNightCount, timedLogs.length);
+};
+
+/**
+ * Late-night frequency from entry counts already tallied (e.g. by daily usage rollups)
+ * @param {Number} lateNightCount - Entries that started late at night
+ * @param {Number} timedEntries - Entries with a known start hour
+ * @returns {Object} Late-night frequency (0-1) and entry counts
+ */
+export const calculateLateNightFrequencyFromCounts = (lateNightCount, timedEntries) => {
+  if (timedEntries === 0) {
+    return {
+      frequency: 0,
+      lateNightCount: 0,
+      timedEntries: 0
+    };
+  }
+
+  return {
+    frequency: Math.round((lateNightCount / timedEntries) * 100) / 100,
+    lateNightCount,
+    timedEntries
+  };
+};
+
 /**
  * Calculate daily usage statistics
  * @param {Array} logs - Array of usage logs
@@ -48,16 +113,22 @@ export const calculateDailyStats = (logs) => {
 
 /**
  * Calculate weekly usage statistics
+ * The trend uses the current risk model's trend settings, so it agrees with the risk score
  * @param {Array} logs - Array of usage logs from last 7 days
- * @returns {Object} Weekly statistics
+ * @param {Object} trendOptions - Overrides for detectTrend (e.g. { endDate, windowDays })
+ * @returns {Object} Weekly statistics, with the trend direction and its analysis
  */
-export const calculateWeeklyStats = (logs) => {
+export const calculateWeeklyStats = (logs, trendOptions = {}) => {
+  const trendSettings = { ...getRiskModel().trend, ...trendOptions };
+
   if (!logs || logs.length === 0) {
+    const trendAnalysis = detectTrend([], trendSettings);
     return {
       totalMinutes: 0,
       averageDailyMinutes: 0,
       daysActive: 0,
-      trend: 'stable',
+      trend: trendAnalysis.direction,
+      trendAnalysis,
       apps: []
     };
   }
@@ -65,7 +136,7 @@ export const calculateWeeklyStats = (logs) => {
   // Group by date
   const dateMap = new Map();
   logs.forEach(log => {
-    const dateKey = log.date.toISOString().split('T')[0];
+    const dateKey = toDateKey(log.date);
     const existing = dateMap.get(dateKey) || 0;
     dateMap.set(dateKey, existing + log.minutesSpent);
   });
@@ -75,16 +146,11 @@ export const calculateWeeklyStats = (logs) => {
   const averageDailyMinutes = totalMinutes / Math.max(1, dateMap.size);
   const daysActive = dateMap.size;
 
-  // Calculate trend (compare first half vs second half of week)
-  let trend = 'stable';
-  if (dailyTotals.length >= 4) {
-    const midpoint = Math.floor(dailyTotals.length / 2);
-    const firstHalf = dailyTotals.slice(0, midpoint).reduce((a, b) => a + b, 0) / midpoint;
-    const secondHalf = dailyTotals.slice(midpoint).reduce((a, b) => a + b, 0) / (dailyTotals.length - midpoint);
-    
-    if (secondHalf > firstHalf * 1.1) trend = 'increasing';
-    else if (secondHalf < firstHalf * 0.9) trend = 'decreasing';
-  }
+  // Slope through the logged days; days without logs are left out, not counted as zero
+  const trendAnalysis = detectTrend(
+    Array.from(dateMap.entries()).map(([date, minutes]) => ({ date, minutes })),
+    trendSettings
+  );
 
   // Group by app for top apps
   const appMap = new Map();
@@ -101,7 +167,8 @@ export const calculateWeeklyStats = (logs) => {
     totalMinutes: Math.round(totalMinutes * 100) / 100,
     averageDailyMinutes: Math.round(averageDailyMinutes * 100) / 100,
     daysActive,
-    trend,
+    trend: trendAnalysis.direction,
+    trendAnalysis,
     apps
   };
 };
@@ -122,7 +189,7 @@ export const calculateMonthlyStats = (logs) => {
 
   const dateMap = new Map();
   logs.forEach(log => {
-    const dateKey = log.date.toISOString().split('T')[0];
+    const dateKey = toDateKey(log.date);
     const existing = dateMap.get(dateKey) || 0;
     dateMap.set(dateKey, existing + log.minutesSpent);
   });
@@ -141,130 +208,278 @@ export const calculateMonthlyStats = (logs) => {
 /**
  * Calculate addiction risk score (0-100)
  * This is a BEHAVIORAL INDICATOR, not a medical diagnosis
- * 
- * Scoring factors:
- * - Average daily usage (weight: 40%)
- * - Peak usage day (weight: 20%)
- * - Consistency (daily usage) (weight: 20%)
- * - Trend (increasing usage) (weight: 20%)
- * 
+ *
+ * Factors, thresholds and weights live in the shared, versioned risk model
+ * (shared/riskModel.js) so the frontend scores usage the same way.
+ *
  * @param {Array} weeklyLogs - Last 7 days of logs
- * @param {Array} monthlyLogs - Last 30 days of logs
- * @returns {Object} Risk score and category
+ * @returns {Object} Risk score, category, model version and per-factor breakdown
  */
-export const calculateRiskScore = (weeklyLogs, monthlyLogs) => {
+export const calculateRiskScore = (weeklyLogs) => {
+  return scoreRiskWithModel(weeklyLogs);
+};
+
+/**
+ * Explain what would lower a risk score by one category
+ * Each factor is changed on its own, with the others held where they are
+ * @param {Array} weeklyLogs - Last 7 days of logs
+ * @returns {Object} Target category, points to lose and the change needed per factor
+ */
+export const calculateRiskScoreReductions = (weeklyLogs) => {
   if (!weeklyLogs || weeklyLogs.length === 0) {
-    return {
-      score: 0,
-      category: 'Low',
-      level: 'low'
-    };
+    return calculateRiskReductions({ averageDaily: 0, peakDay: 0, consistency: 0, trend: 'stable' });
   }
+  return calculateRiskReductions(calculateRiskMetrics(weeklyLogs));
+};
 
-  let score = 0;
+/**
+ * Get time-based aggregations for charts
+ * Buckets are days, weeks (starting on the user's week start), months, quarters or years.
+ * With a date range, every bucket in the range is returned, zero-filled when nothing was logged,
+ * so charts don't skip gaps; buckets at the edges may extend past the range.
+ * `logged: false` marks buckets with no entries at all, so an untracked day can be told
+ * apart from a day logged as zero minutes.
+ * @param {Array} logs - Usage logs
+ * @param {String} period - 'daily', 'weekly', 'monthly', 'quarterly' or 'yearly'
+ * @param {Object} options - { weekStart: 'monday'|'sunday', startDate, endDate } (dates as YYYY-MM-DD)
+ * @returns {Array} Aggregated data points, oldest first
+ */
+export const getTimeSeriesData = (logs, period = 'daily', { weekStart = DEFAULT_WEEK_START, startDate = null, endDate = null } = {}) => {
+  const buckets = new Map();
 
-  // Factor 1: Average daily usage (40 points)
-  const weeklyStats = calculateWeeklyStats(weeklyLogs);
-  const avgDaily = weeklyStats.averageDailyMinutes;
-  
-  // Score based on daily average:
-  // < 60 min: 0-10 points
-  // 60-120 min: 10-20 points
-  // 120-240 min: 20-30 points
-  // 240-360 min: 30-35 points
-  // > 360 min: 35-40 points
-  if (avgDaily >= 360) score += 40;
-  else if (avgDaily >= 240) score += 30 + ((avgDaily - 240) / 120) * 5;
-  else if (avgDaily >= 120) score += 20 + ((avgDaily - 120) / 120) * 10;
-  else if (avgDaily >= 60) score += 10 + ((avgDaily - 60) / 60) * 10;
-  else score += (avgDaily / 60) * 10;
-
-  // Factor 2: Peak usage day (20 points)
-  const dateMap = new Map();
-  weeklyLogs.forEach(log => {
-    const dateKey = log.date.toISOString().split('T')[0];
-    const existing = dateMap.get(dateKey) || 0;
-    dateMap.set(dateKey, existing + log.minutesSpent);
-  });
-  const peakMinutes = Math.max(...Array.from(dateMap.values()), 0);
-  
-  // Score based on peak day:
-  // < 120 min: 0-5 points
-  // 120-240 min: 5-10 points
-  // 240-360 min: 10-15 points
-  // > 360 min: 15-20 points
-  if (peakMinutes >= 360) score += 20;
-  else if (peakMinutes >= 240) score += 15 + ((peakMinutes - 240) / 120) * 5;
-  else if (peakMinutes >= 120) score += 10 + ((peakMinutes - 120) / 120) * 5;
-  else score += (peakMinutes / 120) * 5;
-
-  // Factor 3: Consistency - daily usage (20 points)
-  const daysActive = weeklyStats.daysActive;
-  // Using app 7 days = 20 points, fewer days = fewer points
-  score += (daysActive / 7) * 20;
-
-  // Factor 4: Trend - increasing usage (20 points)
-  if (weeklyStats.trend === 'increasing') score += 20;
-  else if (weeklyStats.trend === 'stable') score += 10;
-  else score += 5; // decreasing
-
-  // Clamp score to 0-100
-  score = Math.max(0, Math.min(100, Math.round(score)));
-
-  // Categorize
-  let category = 'Low';
-  let level = 'low';
-  
-  if (score >= 70) {
-    category = 'High';
-    level = 'high';
-  } else if (score >= 40) {
-    category = 'Moderate';
-    level = 'moderate';
+  const bucketFor = (dateKey) => {
+    const bucket = getPeriodBucket(dateKey, period, weekStart);
+    if (!buckets.has(bucket.key)) {
+      buckets.set(bucket.key, { ...bucket, minutes: 0, loggedDays: new Set() });
+    }
+    return buckets.get(bucket.key);
+  };
+
+  // Register every bucket in the range up front so empty ones still appear
+  if (startDate && endDate) {
+    let dateKey = startDate;
+    while (dateKey <= endDate) {
+      dateKey = addDays(bucketFor(dateKey).endDate, 1);
+    }
   }
 
-  return {
-    score,
-    category,
-    level
-  };
+  (logs || []).forEach(log => {
+    const dateKey = toDateKey(log.date);
+    const bucket = bucketFor(dateKey);
+    bucket.minutes += log.minutesSpent;
+    bucket.loggedDays.add(dateKey);
+  });
+
+  return Array.from(buckets.values())
+    .map(bucket => ({
+      date: bucket.key,
+      startDate: bucket.startDate,
+      endDate: bucket.endDate,
+      // ISO week of the bucket's Monday (the day after a Sunday start)
+      ...(period === 'weekly' && { isoWeek: getIsoWeek(addDays(bucket.startDate, weekStart === 'sunday' ? 1 : 0)) }),
+      minutes: Math.round(bucket.minutes * 100) / 100,
+      logged: bucket.loggedDays.size > 0,
+      // Longer buckets say how many of their days had entries
+      ...(period !== 'daily' && { loggedDays: bucket.loggedDays.size })
+    }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
 };
 
 /**
- * Get time-based aggregations for charts
- * @param {Array} logs - Usage logs
- * @param {String} period - 'daily', 'weekly', 'monthly'
- * @returns {Array} Aggregated data points
+ * Break usage down by app category
+ * Logs for apps outside the catalog count as 'other'
+ * @param {Array} logs - Usage logs with { appName, minutesSpent, category }
+ * @returns {Array} Categories with minutes, share of total and apps, largest first
  */
-export const getTimeSeriesData = (logs, period = 'daily') => {
+export const calculateCategoryBreakdown = (logs) => {
   if (!logs || logs.length === 0) return [];
 
-  const dateMap = new Map();
-  
+  const totalMinutes = logs.reduce((sum, log) => sum + log.minutesSpent, 0);
+
+  const categoryMap = new Map();
   logs.forEach(log => {
-    let key;
-    const date = new Date(log.date);
-    
-    if (period === 'daily') {
-      key = date.toISOString().split('T')[0];
-    } else if (period === 'weekly') {
-      // Group by week (Monday as start)
-      const weekStart = new Date(date);
-      weekStart.setDate(date.getDate() - date.getDay() + 1);
-      key = weekStart.toISOString().split('T')[0];
-    } else {
-      // Monthly
-      key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-    }
-    
-    const existing = dateMap.get(key) || 0;
-    dateMap.set(key, existing + log.minutesSpent);
+    const category = log.category || 'other';
+    const existing = categoryMap.get(category) || { minutes: 0, apps: new Set() };
+    existing.minutes += log.minutesSpent;
+    existing.apps.add(log.appName);
+    categoryMap.set(category, existing);
   });
 
-  return Array.from(dateMap.entries())
-    .map(([date, minutes]) => ({
+  return Array.from(categoryMap.entries())
+    .map(([category, { minutes, apps }]) => ({
+      category,
+      minutes: Math.round(minutes * 100) / 100,
+      percentage: totalMinutes > 0 ? Math.round((minutes / totalMinutes) * 100) : 0,
+      apps: Array.from(apps)
+    }))
+    .sort((a, b) => b.minutes - a.minutes);
+};
+
+// Per-app analytics look back 90 days; the trend uses the last 30 of them
+export const APP_ANALYTICS_DAYS = 90;
+const APP_TREND_DAYS = 30;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Analyze one app's usage over the last 90 days
+ * Only days with at least one entry (for any app) count: a day where other apps were
+ * logged but this one wasn't is a zero for the app, while a day with nothing logged
+ * at all is untracked and left out of averages, the trend and weekday patterns.
+ * @param {Array} appLogs - The app's usage logs in the window
+ * @param {Array} allLogs - All of the user's usage logs in the window, including appLogs
+ * @param {String} endDate - Last day of the window (YYYY-MM-DD), usually today
+ * @returns {Object} Daily series, 7/30/90-day averages, trend, share of total and weekday patterns
+ */
+export const calculateAppAnalytics = (appLogs, allLogs, endDate) => {
+  const startDate = addDays(endDate, -(APP_ANALYTICS_DAYS - 1));
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const sumByDate = (logs) => {
+    const totals = new Map();
+    logs.forEach(log => {
+      const dateKey = toDateKey(log.date);
+      totals.set(dateKey, (totals.get(dateKey) || 0) + log.minutesSpent);
+    });
+    return totals;
+  };
+  const allTotals = sumByDate(allLogs);
+  const appTotals = sumByDate(appLogs);
+
+  // Tracked days in the window
+  const trackedDays = enumerateDateKeys(startDate, endDate)
+    .map(date => ({
       date,
-      minutes: Math.round(minutes * 100) / 100
+      minutes: appTotals.get(date) || 0,
+      totalMinutes: allTotals.get(date) || 0
     }))
-    .sort((a, b) => a.date.localeCompare(b.date));
+    .filter(day => allTotals.has(day.date));
+
+  const lastDays = (days) => {
+    const firstDate = addDays(endDate, -(days - 1));
+    return trackedDays.filter(day => day.date >= firstDate);
+  };
+  const averageOver = (days) => {
+    const recent = lastDays(days);
+    if (recent.length === 0) return null;
+    return round(recent.reduce((sum, day) => sum + day.minutes, 0) / recent.length);
+  };
+
+  // Trend over the last 30 days; untracked days are missing, not zero
+  const trendDays = lastDays(APP_TREND_DAYS);
+  const trend = detectTrend(
+    trendDays.map(day => ({ date: day.date, minutes: day.minutes })),
+    { endDate, windowDays: APP_TREND_DAYS }
+  );
+
+  // Share of total usage over the trend window
+  const appMinutes = trendDays.reduce((sum, day) => sum + day.minutes, 0);
+  const totalMinutes = trendDays.reduce((sum, day) => sum + day.totalMinutes, 0);
+
+  // Average per weekday; "best" is the day with the least use of the app
+  const weekdayMap = new Map();
+  trackedDays.forEach(day => {
+    const dayOfWeek = getDayOfWeek(day.date);
+    const existing = weekdayMap.get(dayOfWeek) || { minutes: 0, days: 0 };
+    existing.minutes += day.minutes;
+    existing.days += 1;
+    weekdayMap.set(dayOfWeek, existing);
+  });
+
+  const byWeekday = Array.from(weekdayMap.entries())
+    .map(([dayOfWeek, { minutes, days }]) => ({
+      dayOfWeek,
+      day: WEEKDAY_NAMES[dayOfWeek],
+      averageMinutes: round(minutes / days),
+      days
+    }))
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+  const byUsage = [...byWeekday].sort((a, b) => a.averageMinutes - b.averageMinutes);
+
+  return {
+    startDate,
+    endDate,
+    // Zero days are only untracked when nothing at all was logged that day
+    daily: getTimeSeriesData(appLogs, 'daily', { startDate, endDate })
+      .map(point => ({ ...point, logged: allTotals.has(point.date) })),
+    averages: {
+      last7Days: averageOver(7),
+      last30Days: averageOver(30),
+      last90Days: averageOver(APP_ANALYTICS_DAYS)
+    },
+    trend,
+    share: {
+      appMinutes: round(appMinutes),
+      totalMinutes: round(totalMinutes),
+      percentage: totalMinutes > 0 ? Math.round((appMinutes / totalMinutes) * 100) : 0
+    },
+    weekdays: {
+      byWeekday,
+      best: byUsage.length >= 2 ? byUsage[0] : null,
+      worst: byUsage.length >= 2 ? byUsage[byUsage.length - 1] : null
+    }
+  };
+};
+
+/**
+ * Evaluate a goal day by day and compute streaks
+ * Only finished days are evaluated, so today is left out until it is over.
+ * Days without any logs are unknown rather than zero usage: they are returned
+ * with met: null, don't count as met or evaluated, and break streaks
+ *
+ * @param {Object} goal - Goal with { type, appName, targetMinutes, targetDays, startDate }
+ * @param {Array} logs - Usage logs from goal.startDate onwards
+ * @param {String} today - Today's date (YYYY-MM-DD); days up to yesterday are evaluated
+ * @returns {Object} Per-day results, unknown days, current/longest streak and completion
+ */
+export const evaluateGoal = (goal, logs, today) => {
+  const startDate = toDateKey(goal.startDate);
+
+  // Sum the minutes that count towards this goal per day, and note every day with any logs
+  const dateMap = new Map();
+  const loggedDates = new Set();
+  (logs || []).forEach(log => {
+    const dateKey = toDateKey(log.date);
+    loggedDates.add(dateKey);
+    if (goal.appName && log.appName !== goal.appName) return;
+    const existing = dateMap.get(dateKey) || 0;
+    dateMap.set(dateKey, existing + log.minutesSpent);
+  });
+
+  const days = enumerateDateKeys(startDate, addDays(today, -1)).map(dateKey => {
+    if (!loggedDates.has(dateKey)) {
+      return { date: dateKey, minutes: null, met: null };
+    }
+
+    const minutes = Math.round((dateMap.get(dateKey) || 0) * 100) / 100;
+    const met = goal.type === 'days_off'
+      ? minutes === 0
+      : minutes <= goal.targetMinutes;
+
+    return { date: dateKey, minutes, met };
+  });
+
+  let longestStreak = 0;
+  let runningStreak = 0;
+  days.forEach(day => {
+    runningStreak = day.met ? runningStreak + 1 : 0;
+    longestStreak = Math.max(longestStreak, runningStreak);
+  });
+  // The running streak at the end of the range is the current streak
+  const currentStreak = runningStreak;
+
+  const daysMet = days.filter(day => day.met).length;
+  const daysEvaluated = days.filter(day => day.met !== null).length;
+
+  return {
+    days,
+    unknownDays: days.filter(day => day.met === null).map(day => day.date),
+    currentStreak,
+    longestStreak,
+    daysMet,
+    daysEvaluated,
+    successRate: daysEvaluated > 0 ? Math.round((daysMet / daysEvaluated) * 100) / 100 : 0,
+    completion: Math.min(100, Math.round((currentStreak / goal.targetDays) * 100)),
+    completed: longestStreak >= goal.targetDays
+  };
 };
@@ -0,0 +1,111 @@
+/**
+ * App Catalog
+ * Canonical apps, their aliases and categories
+ *
+ * Aliases cover the spellings people type ("insta", "yt") and the Android
+ * package names / iOS bundle IDs used by screen-time exports, so every
+ * variant of an app resolves to the same catalog entry.
+ */
+
+export const APP_CATEGORIES = ['social', 'short-video', 'video', 'messaging', 'professional', 'other'];
+
+/**
+ * Apps seeded into the catalog on startup
+ */
+export const DEFAULT_APPS = [
+  {
+    name: 'Instagram',
+    category: 'social',
+    icon: '📸',
+    aliases: ['insta', 'ig', 'com.instagram.android', 'com.burbn.instagram']
+  },
+  {
+    name: 'Facebook',
+    category: 'social',
+    icon: '👍',
+    aliases: ['fb', 'com.facebook.katana', 'com.facebook.lite', 'com.facebook.facebook']
+  },
+  {
+    name: 'Twitter (X)',
+    category: 'social',
+    icon: '🐦',
+    aliases: ['twitter', 'x', 'x (twitter)', 'com.twitter.android', 'com.atebits.tweetie2']
+  },
+  {
+    name: 'TikTok',
+    category: 'short-video',
+    icon: '🎵',
+    aliases: ['tik tok', 'com.zhiliaoapp.musically', 'com.ss.android.ugc.trill', 'com.ss.iphone.ugc.ame']
+  },
+  {
+    name: 'YouTube',
+    category: 'video',
+    icon: '▶️',
+    aliases: ['yt', 'you tube', 'com.google.android.youtube', 'com.google.ios.youtube']
+  },
+  {
+    name: 'Snapchat',
+    category: 'social',
+    icon: '👻',
+    aliases: ['snap', 'com.snapchat.android', 'com.toyopagroup.picaboo']
+  },
+  {
+    name: 'WhatsApp',
+    category: 'messaging',
+    icon: '💬',
+    aliases: ['whats app', 'com.whatsapp', 'net.whatsapp.whatsapp']
+  },
+  {
+    name: 'Reddit',
+    category: 'social',
+    icon: '👽',
+    aliases: ['com.reddit.frontpage', 'com.reddit.reddit']
+  },
+  {
+    name: 'Telegram',
+    category: 'messaging',
+    icon: '✈️',
+    aliases: ['org.telegram.messenger', 'ph.telegra.telegraph']
+  },
+  {
+    name: 'LinkedIn',
+    category: 'professional',
+    icon: '💼',
+    aliases: ['linked in', 'com.linkedin.android', 'com.linkedin.linkedin']
+  },
+  {
+    name: 'Slack',
+    category: 'professional',
+    icon: '#️⃣',
+    aliases: ['com.slack', 'com.tinyspeck.chatlyio']
+  }
+];
+
+/**
+ * Build a case-insensitive lookup from names and aliases to catalog apps
+ * @param {Array} apps - Catalog apps with name and aliases
+ * @returns {Map} Lowercased name/alias -> app
+ */
+export const buildAppLookup = (apps) => {
+  const lookup = new Map();
+
+  apps.forEach(app => {
+    lookup.set(app.name.toLowerCase(), app);
+    (app.aliases || []).forEach(alias => {
+      lookup.set(String(alias).toLowerCase(), app);
+    });
+  });
+
+  return lookup;
+};
+
+/**
+ * Find the catalog app for a typed name, alias, package name or bundle ID
+ * @param {Map} lookup - Result of buildAppLookup
+ * @param {String} name - App name as entered
+ * @returns {Object|null} Catalog app
+ */
+export const findCatalogApp = (lookup, name) => {
+  if (!name) return null;
+  return lookup.get(String(name).trim().toLowerCase()) || null;
+};
@@ -0,0 +1,93 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 helpers for exporting usage data
+ */
+
+/**
+ * Escape a single value for a CSV cell
+ * Quotes values containing commas, quotes or line breaks. Text starting with
+ * =, +, -, @, tab or CR gets a leading ' so spreadsheets don't run it as a formula
+ * @param {*} value - Cell value
+ * @returns {String} Escaped cell
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+/**
+ * Build one CSV line from an array of values
+ * @param {Array} values - Cell values
+ * @returns {String} CSV line including trailing CRLF
+ */
+export const toCsvRow = (values) => {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+};
+
+/**
+ * Parse CSV text into row objects keyed by the header line
+ * Handles quoted cells, escaped quotes, embedded line breaks and CRLF endings
+ * @param {String} text - CSV text with a header row
+ * @returns {Array} Array of objects, one per data row (blank lines skipped)
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(header => header.trim());
+
+  return nonEmpty.slice(1).map(values => Object.fromEntries(
+    headers.map((header, index) => [header, values[index] !== undefined ? values[index] : ''])
+  ));
+};
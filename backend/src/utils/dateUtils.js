@@ -0,0 +1,268 @@
+/**
+ * Date Utilities
+ * Resolve calendar days in the user's timezone
+ *
+ * Usage logs store plain calendar dates (YYYY-MM-DD). "Today", "the last 7 days"
+ * and week starts depend on where the user is, so they are worked out in the
+ * user's IANA timezone instead of the server clock or UTC. Weeks start on the
+ * user's preferred day (Monday by default, matching ISO 8601).
+ * Date keys are compared and shifted as strings, so no step depends on the
+ * server's own timezone.
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// Weeks start on Monday (ISO 8601) unless the user prefers Sunday
+export const WEEK_STARTS = ['monday', 'sunday'];
+export const DEFAULT_WEEK_START = 'monday';
+
+export const TIME_SERIES_PERIODS = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are slow to build, so keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check whether a string is an IANA timezone the runtime knows, e.g. "Asia/Kolkata"
+ * @param {String} timezone - Timezone name
+ * @returns {Boolean} True if usable
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone.trim()) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value is a real calendar date in YYYY-MM-DD form
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if a date key
+ */
+export const isDateKey = (value) => {
+  return typeof value === 'string' && DATE_KEY_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+};
+
+/**
+ * Timezone to use for a user, falling back to UTC
+ * @param {Object} user - User (req.user)
+ * @returns {String} IANA timezone
+ */
+export const getUserTimezone = (user) => {
+  return user?.timezone && isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * First day of the week for a user, falling back to Monday
+ * @param {Object} user - User (req.user)
+ * @returns {String} 'monday' or 'sunday'
+ */
+export const getUserWeekStart = (user) => {
+  return WEEK_STARTS.includes(user?.weekStart) ? user.weekStart : DEFAULT_WEEK_START;
+};
+
+/**
+ * Read the calendar parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second } as strings
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) for a value in a timezone
+ * Plain YYYY-MM-DD strings are already calendar dates and are returned unchanged;
+ * timestamps and Date objects are converted to the day they fall on in the timezone
+ * @param {String|Date|Number} value - Date key, timestamp or Date
+ * @param {String} timezone - IANA timezone
+ * @returns {String|null} Date key, or null if unreadable
+ */
+export const toDateKey = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) return value;
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Hour of day (0-23) an instant falls on in a timezone
+ * @param {String|Date|Number} value - Timestamp or Date
+ * @param {String} timezone - IANA timezone
+ * @returns {Number|null} Hour, or null if unreadable
+ */
+export const getHourInTimezone = (value, timezone = DEFAULT_TIMEZONE) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+  return parseInt(getZonedParts(date, timezone).hour, 10);
+};
+
+/**
+ * Milliseconds a timezone is ahead of UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timezone - IANA timezone
+ * @returns {Number} Offset in milliseconds
+ */
+const getTimezoneOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * First and last instant of a calendar day in a timezone
+ * @param {String} dateKey - Date (YYYY-MM-DD)
+ * @param {String} timezone - IANA timezone
+ * @returns {Object} { start, end } as Dates
+ */
+export const getDayBounds = (dateKey, timezone = DEFAULT_TIMEZONE) => {
+  const startOf = (key) => {
+    const midnightUtc = Date.parse(`${key}T00:00:00.000Z`);
+    // Check the offset again at the result, in case a DST change falls in between
+    const firstGuess = midnightUtc - getTimezoneOffset(new Date(midnightUtc), timezone);
+    return midnightUtc - getTimezoneOffset(new Date(firstGuess), timezone);
+  };
+
+  return {
+    start: new Date(startOf(dateKey)),
+    end: new Date(startOf(addDays(dateKey, 1)) - 1)
+  };
+};
+
+/**
+ * Today's date in a timezone
+ * @param {String} timezone - IANA timezone
+ * @returns {String} Date key
+ */
+export const getToday = (timezone = DEFAULT_TIMEZONE) => toDateKey(new Date(), timezone);
+
+/**
+ * Shift a date key by a number of days
+ * @param {String} dateKey - Date (YYYY-MM-DD)
+ * @param {Number} days - Days to add (negative to go back)
+ * @returns {String} Shifted date key
+ */
+export const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Date a number of days before today in a timezone
+ * @param {Number} days - Days to go back
+ * @param {String} timezone - IANA timezone
+ * @returns {String} Date key
+ */
+export const daysAgo = (days, timezone = DEFAULT_TIMEZONE) => addDays(getToday(timezone), -days);
+
+/**
+ * Day of week for a date key (0 = Sunday ... 6 = Saturday)
+ * @param {String} dateKey - Date (YYYY-MM-DD)
+ * @returns {Number} Day of week
+ */
+export const getDayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * First day of the week a date falls in
+ * @param {String} dateKey - Date (YYYY-MM-DD)
+ * @param {String} weekStart - 'monday' (ISO) or 'sunday'
+ * @returns {String} Date key of the week start
+ */
+export const getWeekStart = (dateKey, weekStart = DEFAULT_WEEK_START) => {
+  const firstDay = weekStart === 'sunday' ? 0 : 1;
+  return addDays(dateKey, -((getDayOfWeek(dateKey) - firstDay + 7) % 7));
+};
+
+/**
+ * ISO 8601 week label for a date, e.g. "2024-W01"
+ * ISO weeks start on Monday and week 1 holds the year's first Thursday,
+ * so early-January days can belong to the previous year's last week
+ * @param {String} dateKey - Date (YYYY-MM-DD)
+ * @returns {String} ISO week label
+ */
+export const getIsoWeek = (dateKey) => {
+  // The Thursday of the same ISO week decides the year
+  const thursday = addDays(getWeekStart(dateKey, 'monday'), 3);
+  const year = thursday.slice(0, 4);
+  const dayOfYear = (Date.parse(`${thursday}T00:00:00Z`) - Date.parse(`${year}-01-01T00:00:00Z`)) / 86400000;
+  const week = Math.floor(dayOfYear / 7) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Bucket a date falls in for a time-series period
+ * Weekly buckets are keyed by their first day; months as YYYY-MM,
+ * quarters as YYYY-Qn and years as YYYY
+ * @param {String} dateKey - Date (YYYY-MM-DD)
+ * @param {String} period - One of TIME_SERIES_PERIODS
+ * @param {String} weekStart - 'monday' or 'sunday'
+ * @returns {Object} { key, startDate, endDate }
+ */
+export const getPeriodBucket = (dateKey, period, weekStart = DEFAULT_WEEK_START) => {
+  const year = dateKey.slice(0, 4);
+  const month = parseInt(dateKey.slice(5, 7), 10);
+
+  // Last day of a month: the day before the next month's first
+  const monthEnd = (y, m) => addDays(m === 12 ? `${Number(y) + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`, -1);
+
+  if (period === 'daily') {
+    return { key: dateKey, startDate: dateKey, endDate: dateKey };
+  }
+  if (period === 'weekly') {
+    const startDate = getWeekStart(dateKey, weekStart);
+    return { key: startDate, startDate, endDate: addDays(startDate, 6) };
+  }
+  if (period === 'monthly') {
+    return { key: dateKey.slice(0, 7), startDate: `${dateKey.slice(0, 7)}-01`, endDate: monthEnd(year, month) };
+  }
+  if (period === 'quarterly') {
+    const quarter = Math.ceil(month / 3);
+    const firstMonth = String(quarter * 3 - 2).padStart(2, '0');
+    return { key: `${year}-Q${quarter}`, startDate: `${year}-${firstMonth}-01`, endDate: monthEnd(year, quarter * 3) };
+  }
+  return { key: year, startDate: `${year}-01-01`, endDate: `${year}-12-31` };
+};
+
+/**
+ * Every date from start to end, inclusive
+ * @param {String} startKey - First date (YYYY-MM-DD)
+ * @param {String} endKey - Last date (YYYY-MM-DD)
+ * @returns {Array} Date keys
+ */
+export const enumerateDateKeys = (startKey, endKey) => {
+  const keys = [];
+  for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
@@ -0,0 +1,272 @@
+/**
+ * Import Parsers
+ * Convert phone screen-time exports into usage rows for bulk import
+ *
+ * Supported sources:
+ * - android_wellbeing: Android Digital Wellbeing / UsageStats dumps (package names, foreground time)
+ * - ios_screentime: iOS Screen Time exports (bundle IDs, durations)
+ * - tracker: generic JSON or CSV dumps from third-party trackers (app names, durations)
+ *
+ * Column names are matched loosely (case, spaces and underscores are ignored),
+ * and rows for the same app and day are summed before import.
+ * Timestamps are placed on the day and hour they fall on in the user's timezone.
+ */
+
+import { DEFAULT_APPS, buildAppLookup, findCatalogApp } from './appCatalog.js';
+import { DEFAULT_TIMEZONE, isDateKey, toDateKey, getHourInTimezone } from './dateUtils.js';
+
+export const IMPORT_SOURCES = ['android_wellbeing', 'ios_screentime', 'tracker'];
+
+// Package names, bundle IDs and tracker spellings of the catalog apps
+const APP_LOOKUP = buildAppLookup(DEFAULT_APPS);
+
+// Trailing package segments that don't name the app
+const GENERIC_ID_SEGMENTS = ['android', 'ios', 'app', 'mobile', 'lite'];
+
+// Column aliases, compared after normalizeKey()
+const FIELD_ALIASES = {
+  appId: ['packagename', 'package', 'bundleid', 'bundleidentifier', 'appid', 'identifier'],
+  appName: ['appname', 'app', 'application', 'name', 'label'],
+  date: ['date', 'day'],
+  start: ['starttime', 'start', 'startdate', 'firsttimestamp', 'timestamp', 'from'],
+  milliseconds: ['totaltimeinforeground', 'foregroundtime', 'durationms', 'timems'],
+  seconds: ['seconds', 'durationseconds', 'totalseconds', 'usageseconds'],
+  minutes: ['minutes', 'minutesspent', 'durationminutes', 'totalminutes', 'usageminutes'],
+  duration: ['duration', 'usagetime', 'screentime', 'totaltime', 'time', 'usage']
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_\-().]/g, '');
+
+/**
+ * Read the first matching field from a row
+ * @param {Object} row - Raw row
+ * @param {String} field - Key of FIELD_ALIASES
+ * @returns {*} Value, or undefined
+ */
+const pick = (row, field) => {
+  const aliases = FIELD_ALIASES[field];
+  for (const [key, value] of Object.entries(row)) {
+    if (aliases.includes(normalizeKey(key)) && value !== '' && value !== null && value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Map a package name, bundle ID or display name to the app name used in logs
+ * Unknown IDs fall back to their last meaningful segment, e.g. com.pinterest.android -> Pinterest
+ * @param {String} value - Package name, bundle ID or app name
+ * @returns {String|null} App name
+ */
+export const resolveAppName = (value) => {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  const app = findCatalogApp(APP_LOOKUP, raw);
+  if (app) return app.name;
+
+  // Reverse-DNS identifier we don't know about
+  if (/^[a-z0-9_]+(\.[a-z0-9_]+){2,}$/i.test(raw)) {
+    const segments = raw.split('.').filter(segment => !GENERIC_ID_SEGMENTS.includes(segment.toLowerCase()));
+    const lastSegment = segments[segments.length - 1];
+    return lastSegment.charAt(0).toUpperCase() + lastSegment.slice(1);
+  }
+
+  return raw;
+};
+
+/**
+ * Parse a human-readable duration into minutes
+ * Accepts "1h 23m", "1h23", "45m", "90s", "1:23:00" and "1:23" (read as h:mm)
+ * @param {String|Number} value - Duration
+ * @param {String} unit - Unit for plain numbers: 'ms', 'seconds' or 'minutes'
+ * @returns {Number|null} Minutes, or null if unparseable
+ */
+export const parseDurationToMinutes = (value, unit = 'minutes') => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const divisors = { ms: 60000, seconds: 60, minutes: 1 };
+
+  if (typeof value === 'number' || /^\s*\d+(\.\d+)?\s*$/.test(String(value))) {
+    return parseFloat(value) / divisors[unit];
+  }
+
+  const str = String(value).trim().toLowerCase();
+
+  // Clock format: h:mm or h:mm:ss
+  const clock = str.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const [, hours, minutes, seconds = '0'] = clock;
+    return parseInt(hours) * 60 + parseInt(minutes) + parseInt(seconds) / 60;
+  }
+
+  // Unit format: 1h 23m 10s, 1h23m, 2 hrs 5 mins, 45 min. A bare number at the end
+  // continues the unit before it, so 1h30 is 1h 30m and 5m 30 is 5m 30s
+  const parts = [...str.matchAll(/(\d+(?:\.\d+)?)\s*(h|hr|hrs|hour|hours|m|min|mins|minute|minutes|s|sec|secs|second|seconds)?(?![a-z])/g)];
+  if (parts.length === 0) return null;
+
+  const nextUnit = { h: 'm', m: 's' };
+  let total = 0;
+  let previousUnit = null;
+
+  for (let i = 0; i < parts.length; i++) {
+    const [, amount, label] = parts[i];
+    const unit = label ? label.charAt(0) : nextUnit[previousUnit];
+
+    // Any other bare number is ambiguous, so the value is rejected rather than partly read
+    if (!unit || (!label && i !== parts.length - 1)) return null;
+
+    const number = parseFloat(amount);
+    if (unit === 'h') total += number * 60;
+    else if (unit === 's') total += number / 60;
+    else total += number;
+    previousUnit = unit;
+  }
+
+  return total;
+};
+
+/**
+ * Parse a date or timestamp field
+ * Epoch numbers are treated as milliseconds (or seconds if too small to be ms)
+ * @param {*} value - Date string, ISO timestamp or epoch number
+ * @returns {Date|null} Parsed date
+ */
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const epoch = Number(value);
+    const date = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+    return isNaN(date) ? null : date;
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Read a row's duration in minutes, trying explicit-unit columns first
+ * @param {Object} row - Raw row
+ * @param {String} defaultUnit - Unit for a generic duration column holding a plain number
+ * @returns {Number|null} Minutes
+ */
+const readMinutes = (row, defaultUnit) => {
+  const ms = pick(row, 'milliseconds');
+  if (ms !== undefined) return parseDurationToMinutes(ms, 'ms');
+
+  const seconds = pick(row, 'seconds');
+  if (seconds !== undefined) return parseDurationToMinutes(seconds, 'seconds');
+
+  const minutes = pick(row, 'minutes');
+  if (minutes !== undefined) return parseDurationToMinutes(minutes, 'minutes');
+
+  return parseDurationToMinutes(pick(row, 'duration'), defaultUnit);
+};
+
+/**
+ * Normalize one raw row to { appName, minutesSpent, date, hour }
+ * @param {Object} row - Raw row
+ * @param {String} defaultUnit - Unit for plain-number durations
+ * @param {String} timezone - User's timezone
+ * @returns {Object} Normalized row, with `error` set if it can't be used
+ */
+const normalizeSourceRow = (row, defaultUnit, timezone) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { error: 'Row is not an object with export fields' };
+  }
+
+  const appName = resolveAppName(pick(row, 'appId') ?? pick(row, 'appName'));
+  const minutes = readMinutes(row, defaultUnit);
+  const start = parseTimestamp(pick(row, 'start'));
+  const day = pick(row, 'date');
+
+  let date = null;
+  if (day !== undefined) {
+    // A plain calendar date is already the user's day; timestamps are converted
+    date = isDateKey(String(day).trim()) ? String(day).trim() : toDateKey(parseTimestamp(day), timezone);
+  } else if (start) {
+    date = toDateKey(start, timezone);
+  }
+
+  if (!appName) return { error: 'Missing app name or package/bundle ID' };
+  if (minutes === null || isNaN(minutes)) return { appName, error: 'Missing or unreadable duration' };
+  if (!date) return { appName, error: 'Missing or unreadable date' };
+
+  return {
+    appName,
+    minutesSpent: minutes,
+    date,
+    hour: start ? getHourInTimezone(start, timezone) : null
+  };
+};
+
+/**
+ * Parse rows from a screen-time export into usage rows ready for bulk import
+ * Rows for the same app and day (hourly buckets, several devices) are summed,
+ * and the hour with the most usage becomes the entry's startHour
+ *
+ * @param {String} source - One of IMPORT_SOURCES
+ * @param {Array} rows - Raw rows (parsed CSV or JSON objects)
+ * @param {String} timezone - User's timezone
+ * @returns {Object} { rows: usage rows, skipped: [{ row, reason }] }
+ */
+export const parseSourceRows = (source, rows, timezone = DEFAULT_TIMEZONE) => {
+  // Android reports foreground time in milliseconds, iOS in seconds; trackers usually in minutes
+  const defaultUnit = { android_wellbeing: 'ms', ios_screentime: 'seconds', tracker: 'minutes' }[source];
+
+  const grouped = new Map();
+  const skipped = [];
+
+  rows.forEach((raw, index) => {
+    const row = normalizeSourceRow(raw, defaultUnit, timezone);
+
+    if (row.error) {
+      skipped.push({ row: index + 1, appName: row.appName || null, reason: row.error });
+      return;
+    }
+
+    // Ignore zero-length entries (apps installed but not opened)
+    if (row.minutesSpent <= 0) return;
+
+    const key = `${row.appName}|${row.date}`;
+    if (!grouped.has(key)) {
+      grouped.set(key, { appName: row.appName, date: row.date, minutesSpent: 0, hours: new Map() });
+    }
+
+    const group = grouped.get(key);
+    group.minutesSpent += row.minutesSpent;
+    if (row.hour !== null) {
+      group.hours.set(row.hour, (group.hours.get(row.hour) || 0) + row.minutesSpent);
+    }
+  });
+
+  const usageRows = Array.from(grouped.values()).map(group => {
+    const busiestHour = Array.from(group.hours.entries()).sort((a, b) => b[1] - a[1])[0];
+    return {
+      appName: group.appName,
+      date: group.date,
+      minutesSpent: Math.round(group.minutesSpent * 100) / 100,
+      startHour: busiestHour ? busiestHour[0] : null
+    };
+  });
+
+  return { rows: usageRows, skipped };
+};
+
+/**
+ * Find the array of rows inside a JSON export
+ * Accepts a bare array or an object wrapping one (e.g. { usageStats: [...] })
+ * @param {*} data - Parsed JSON
+ * @returns {Array|null} Rows
+ */
+export const extractJsonRows = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const nested = Object.values(data).find(value => Array.isArray(value));
+    return nested || null;
+  }
+  return null;
+};
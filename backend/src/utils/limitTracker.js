@@ -0,0 +1,62 @@
+/**
+ * Limit Tracker
+ * Compares app usage against the daily limits a user has set
+ */
+
+/**
+ * Calculate budget status for one app limit
+ * @param {Object} limit - App limit with { appName, dailyLimitMinutes }
+ * @param {Number} minutesUsed - Minutes used on the day being checked
+ * @returns {Object} Budget status
+ */
+export const calculateLimitStatus = (limit, minutesUsed = 0) => {
+  const dailyLimitMinutes = Number(limit.dailyLimitMinutes);
+  const used = Math.round((Number(minutesUsed) || 0) * 100) / 100;
+
+  return {
+    limitId: limit.id,
+    appName: limit.appName,
+    dailyLimitMinutes,
+    minutesUsed: used,
+    remainingMinutes: Math.max(0, Math.round((dailyLimitMinutes - used) * 100) / 100),
+    percentUsed: Math.round((used / dailyLimitMinutes) * 100),
+    exceeded: used > dailyLimitMinutes
+  };
+};
+
+/**
+ * Calculate budget status for every limit from a day's logs
+ * @param {Array} limits - App limits
+ * @param {Array} logs - Usage logs for a single day
+ * @returns {Array} Budget status per limit, closest to the limit first
+ */
+export const calculateLimitBudgets = (limits, logs) => {
+  if (!limits || limits.length === 0) return [];
+
+  const appMap = new Map();
+  (logs || []).forEach(log => {
+    const existing = appMap.get(log.appName) || 0;
+    appMap.set(log.appName, existing + log.minutesSpent);
+  });
+
+  return limits
+    .map(limit => calculateLimitStatus(limit, appMap.get(limit.appName)))
+    .sort((a, b) => b.percentUsed - a.percentUsed);
+};
+
+/**
+ * Build an over-limit alert when a usage entry crosses its app limit
+ * @param {Object} status - Budget status from calculateLimitStatus
+ * @returns {Object|null} Alert, or null when still within budget
+ */
+export const buildLimitAlert = (status) => {
+  if (!status || !status.exceeded) return null;
+
+  const overBy = Math.round((status.minutesUsed - status.dailyLimitMinutes) * 100) / 100;
+
+  return {
+    ...status,
+    overByMinutes: overBy,
+    message: `You've gone ${overBy} minutes over your ${status.dailyLimitMinutes}-minute daily limit for ${status.appName}.`
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Digital Mirror Analysis
+ * Compares user intention vs actual usage behavior
+ *
+ * Works on per-intention aggregates (grouped in SQL) rather than raw entries,
+ * so results don't depend on how many logs a user has.
+ */
+
+/**
+ * Build mirror insights from intention groups
+ * @param {Array} groups - Aggregates per intention:
+ *   { intention, count, foundItCount, notFoundCount, avgMinutes, lateNightCount, repeatedOpens }
+ * @returns {Array} Array of mirror insights, most frequent first
+ */
+export const buildMirrorInsights = (groups) => {
+  if (!groups || groups.length === 0) {
+    return [];
+  }
+
+  const insights = [];
+
+  groups.forEach(group => {
+    const totalCount = Number(group.count) || 0;
+    if (totalCount === 0) return;
+
+    const foundItCount = Number(group.foundItCount) || 0;
+    const notFoundCount = Number(group.notFoundCount) || 0;
+    const avgMinutes = Number(group.avgMinutes) || 0;
+    const lateNightCount = Number(group.lateNightCount) || 0;
+    const repeatedOpens = Number(group.repeatedOpens) || 0;
+    const foundItRate = foundItCount / totalCount;
+    const intentionText = capitalizeFirst(String(group.intention).toLowerCase());
+
+    const base = {
+      intention: intentionText,
+      count: totalCount,
+      foundItRate,
+      avgMinutes: Math.round(avgMinutes),
+      lateNightCount,
+      repeatedOpens
+    };
+
+    if (foundItRate < 0.5 && totalCount >= 3) {
+      // User didn't find what they were looking for most of the time
+      insights.push({
+        ...base,
+        pattern: 'not_found',
+        message: `You opened apps to ${intentionText.toLowerCase()}. You didn't find it ${notFoundCount} out of ${totalCount} times. This pattern occurred ${totalCount} times.`
+      });
+    } else if (avgMinutes > 60 && foundItRate < 0.7) {
+      // Long sessions but didn't find what they wanted
+      insights.push({
+        ...base,
+        pattern: 'long_session_not_found',
+        message: `You opened apps to ${intentionText.toLowerCase()}. You spent an average of ${Math.round(avgMinutes)} minutes but only found what you were looking for ${Math.round(foundItRate * 100)}% of the time.`
+      });
+    } else if (lateNightCount > 0 && lateNightCount / totalCount > 0.4) {
+      // Late night usage pattern
+      insights.push({
+        ...base,
+        pattern: 'late_night',
+        message: `You opened apps to ${intentionText.toLowerCase()} ${lateNightCount} times late at night. You closed them feeling ${foundItRate < 0.5 ? 'more tired' : 'unsatisfied'}. This pattern occurred ${totalCount} times in this period.`
+      });
+    }
+  });
+
+  return insights.sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Capitalize first letter
+ */
+const capitalizeFirst = (str) => {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+};
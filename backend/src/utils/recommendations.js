@@ -53,13 +53,15 @@ export const generateRecommendations = (analytics) => {
     });
   }
 
-  // Recommendations based on trend
+  // Recommendations based on trend (only reported once the slope is clear enough)
+  const dailyChange = Math.abs(Math.round(weeklyStats.trendAnalysis?.slope || 0));
+
   if (weeklyStats.trend === 'increasing') {
     recommendations.push({
       type: 'trend',
       priority: 'medium',
       title: 'Notice Usage Trends',
-      message: 'Your usage has been increasing recently. This might be a good time to reflect on your goals and set some gentle boundaries if needed.',
+      message: `Your usage has been increasing recently${dailyChange > 0 ? `, by about ${dailyChange} minutes a day` : ''}. This might be a good time to reflect on your goals and set some gentle boundaries if needed.`,
       actionable: true
     });
   }
@@ -69,11 +71,21 @@ export const generateRecommendations = (analytics) => {
       type: 'positive',
       priority: 'low',
       title: 'Great Progress!',
-      message: 'You\'ve been reducing your usage recently. Keep up the awareness and continue making choices that align with your goals.',
+      message: `You've been reducing your usage recently${dailyChange > 0 ? `, by about ${dailyChange} minutes a day` : ''}. Keep up the awareness and continue making choices that align with your goals.`,
       actionable: false
     });
   }
 
+  if (weeklyStats.trend === 'insufficient-data') {
+    recommendations.push({
+      type: 'trend',
+      priority: 'low',
+      title: 'Keep Logging to See Your Trend',
+      message: 'There aren\'t enough logged days this week to tell whether your usage is rising or falling. A few more days of entries will make your trend clear.',
+      actionable: true
+    });
+  }
+
   // Recommendations based on consistency
   if (weeklyStats.daysActive === 7) {
     recommendations.push({
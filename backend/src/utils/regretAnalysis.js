@@ -1,15 +1,16 @@
 /**
- * Future Regret Simulator Logic
+ * Future Regret Analysis
  * Rule-based pattern analysis for regret prediction
+ * Results are persisted as RegretSnapshot rows so the trend can be tracked
  */
 
 /**
  * Analyze patterns and calculate regret probability
- * @param {Object} data - Usage data including entries, stats, risk scores
+ * @param {Object} data - Usage factors (daily average, late-night and intent drift frequency, risk trend, honesty score)
  * @returns {Object} Regret analysis results
  */
 export const analyzeRegretPatterns = (data) => {
-  const { entries, dailyAvg, lateNightFrequency, intentDriftFrequency, riskScoreTrend, honestyScore } = data;
+  const { dailyAvg, lateNightFrequency, intentDriftFrequency, riskScoreTrend, honestyScore } = data;
 
   let regretScore = 0;
   const regretTypes = {
@@ -9,6 +9,8 @@ import { Dashboard } from './pages/Dashboard';
 import { DigitalMirrorMode } from './pages/DigitalMirrorMode';
 import { FutureRegretSimulator } from './pages/FutureRegretSimulator';
 import { BeforeAfterTracking } from './pages/BeforeAfterTracking';
+import { Goals } from './pages/Goals';
+import { AppDetail } from './pages/AppDetail';
 import { useEffect } from 'react';
 
 function App() {
@@ -76,6 +78,26 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/goals"
+        element={
+          <ProtectedRoute>
+            <Layout>
+              <Goals />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/apps/:appName"
+        element={
+          <ProtectedRoute>
+            <Layout>
+              <AppDetail />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
       <Route path="/" element={<Navigate to="/dashboard" replace />} />
       <Route path="*" element={<Navigate to="/dashboard" replace />} />
     </Routes>
@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { limitsAPI } from '../services/api';
+import { useAppCatalog } from '../context/AppCatalogContext';
+import { formatMinutesToHours } from '../utils/timeFormatter';
+
+export const AppLimits = ({ budgets = [], onChange }) => {
+  const { appNames } = useAppCatalog();
+  const [formData, setFormData] = useState({ appName: '', dailyLimitMinutes: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const existing = budgets.find(budget => budget.appName === formData.appName.trim());
+      const payload = {
+        appName: formData.appName.trim(),
+        dailyLimitMinutes: parseInt(formData.dailyLimitMinutes, 10)
+      };
+
+      if (existing) {
+        await limitsAPI.update(existing.limitId, payload);
+      } else {
+        await limitsAPI.create(payload);
+      }
+
+      setFormData({ appName: '', dailyLimitMinutes: '' });
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save limit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (limitId) => {
+    if (!window.confirm('Remove this limit?')) {
+      return;
+    }
+
+    try {
+      setError('');
+      await limitsAPI.delete(limitId);
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete limit');
+    }
+  };
+
+  const getBarColor = (budget) => {
+    if (budget.exceeded) return 'bg-red-500';
+    if (budget.percentUsed >= 80) return 'bg-yellow-500';
+    return 'bg-green-500';
+  };
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-4">Daily App Limits</h3>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {budgets.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          No limits set. Add one below to track a daily time budget for an app.
+        </p>
+      ) : (
+        <div className="space-y-4 mb-6">
+          {budgets.map((budget) => (
+            <div key={budget.limitId}>
+              <div className="flex justify-between items-center mb-1 text-sm">
+                <span className="font-medium">{budget.appName}</span>
+                <div className="flex items-center space-x-3">
+                  <span className={budget.exceeded ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}>
+                    {formatMinutesToHours(budget.minutesUsed)} / {formatMinutesToHours(budget.dailyLimitMinutes)}
+                    {budget.exceeded
+                      ? ' (over limit)'
+                      : ` (${formatMinutesToHours(budget.remainingMinutes)} left)`}
+                  </span>
+                  <button
+                    onClick={() => handleDelete(budget.limitId)}
+                    className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+              <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${getBarColor(budget)} transition-all duration-300`}
+                  style={{ width: `${Math.min(100, budget.percentUsed)}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-col md:flex-row md:items-end gap-4">
+        <div className="flex-1">
+          <label htmlFor="limitAppName" className="block text-sm font-medium mb-2">
+            App
+          </label>
+          <input
+            type="text"
+            id="limitAppName"
+            name="appName"
+            list="limitAppSuggestions"
+            value={formData.appName}
+            onChange={handleChange}
+            className="input-field"
+            placeholder="e.g., YouTube"
+            required
+            maxLength={100}
+          />
+          <datalist id="limitAppSuggestions">
+            {appNames.map((app) => (
+              <option key={app} value={app} />
+            ))}
+          </datalist>
+        </div>
+        <div className="flex-1">
+          <label htmlFor="dailyLimitMinutes" className="block text-sm font-medium mb-2">
+            Max Minutes per Day
+          </label>
+          <input
+            type="number"
+            id="dailyLimitMinutes"
+            name="dailyLimitMinutes"
+            value={formData.dailyLimitMinutes}
+            onChange={handleChange}
+            className="input-field"
+            placeholder="45"
+            required
+            min="1"
+            max="1440"
+            step="1"
+          />
+        </div>
+        <button type="submit" disabled={saving} className="btn-primary">
+          {saving ? 'Saving...' : 'Set Limit'}
+        </button>
+      </form>
+    </div>
+  );
+};
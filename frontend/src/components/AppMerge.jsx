@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { usageAPI } from '../services/api';
+import { useAppCatalog } from '../context/AppCatalogContext';
+import { format } from 'date-fns';
+import { formatMinutesToHours } from '../utils/timeFormatter';
+
+export const AppMerge = ({ onMerged, onClose }) => {
+  const { appNames: catalogNames } = useAppCatalog();
+  const [appNames, setAppNames] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [targetName, setTargetName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchAppNames();
+  }, []);
+
+  const fetchAppNames = async () => {
+    try {
+      const response = await usageAPI.getAppNames();
+      setAppNames(response.data.data.appNames);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load app names');
+    }
+  };
+
+  const toggleName = (name) => {
+    setSelected(selected.includes(name)
+      ? selected.filter(item => item !== name)
+      : [...selected, name]);
+    setPreview(null);
+    setError('');
+  };
+
+  const runMerge = async (dryRun) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await usageAPI.mergeApps({
+        sourceNames: selected,
+        targetName: targetName.trim(),
+        dryRun
+      });
+
+      if (dryRun) {
+        setPreview(response.data.data);
+      } else {
+        setPreview(null);
+        setSelected([]);
+        setTargetName('');
+        await fetchAppNames();
+        if (onMerged) onMerged();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to merge apps');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-600">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-medium">Merge App Names</h4>
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-600 dark:text-gray-400 hover:underline"
+        >
+          Close
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Pick the names that refer to the same app. Entries on the same day are added together.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {appNames.map(({ appName, count }) => (
+          <label
+            key={appName}
+            className={`flex items-center px-3 py-1 text-sm rounded-full border cursor-pointer ${
+              selected.includes(appName)
+                ? 'bg-primary-100 dark:bg-primary-900/30 border-primary-400 dark:border-primary-700'
+                : 'border-gray-300 dark:border-gray-600'
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(appName)}
+              onChange={() => toggleName(appName)}
+              className="mr-2"
+            />
+            {appName} ({count})
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-4 mb-4">
+        <div className="flex-1">
+          <label htmlFor="mergeTargetName" className="block text-sm font-medium mb-2">
+            Merge into
+          </label>
+          <input
+            type="text"
+            id="mergeTargetName"
+            list="mergeTargetSuggestions"
+            value={targetName}
+            onChange={(e) => { setTargetName(e.target.value); setPreview(null); }}
+            className="input-field"
+            placeholder="e.g., Instagram"
+            maxLength={100}
+          />
+          <datalist id="mergeTargetSuggestions">
+            {[...new Set([...catalogNames, ...selected])].map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => runMerge(true)}
+            disabled={selected.length === 0 || !targetName.trim() || loading}
+            className="btn-secondary"
+          >
+            Preview
+          </button>
+          <button
+            onClick={() => runMerge(false)}
+            disabled={!preview || preview.changes.length === 0 || loading}
+            className="btn-primary"
+          >
+            {loading && preview ? 'Merging...' : 'Merge'}
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="text-sm">
+          {preview.changes.length === 0 ? (
+            <p className="text-gray-600 dark:text-gray-400">Nothing to merge: these entries already use {preview.targetName}.</p>
+          ) : (
+            <>
+              <p className="text-gray-600 dark:text-gray-400 mb-2">
+                {preview.summary.logsAffected} entries become {preview.changes.length} {preview.targetName} entries
+                ({preview.summary.merged} days combined, {preview.summary.renamed} renamed).
+                {preview.summary.capped > 0 && ` ${preview.summary.capped} days are capped at 24 hours.`}
+              </p>
+              <ul className="space-y-1 max-h-48 overflow-y-auto">
+                {preview.changes.map((change) => (
+                  <li key={change.date} className="text-gray-600 dark:text-gray-400">
+                    {format(new Date(change.date), 'MMM dd, yyyy')}:{' '}
+                    {change.from.map(log => `${log.appName} ${formatMinutesToHours(log.minutesSpent)}`).join(' + ')}
+                    {' → '}
+                    <span className="font-medium">{formatMinutesToHours(change.minutesSpent)}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
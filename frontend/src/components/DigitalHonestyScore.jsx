@@ -1,10 +1,33 @@
-import { useMemo } from 'react';
-import { calculateDigitalHonestyScore } from '../utils/digitalHonestyScore';
+import { useState, useEffect } from 'react';
+import { analyticsAPI } from '../services/api';
 
-export const DigitalHonestyScore = ({ entries }) => {
-  const score = useMemo(() => {
-    return calculateDigitalHonestyScore(entries);
-  }, [entries]);
+const PENALTY_LABELS = {
+  gap: 'Gap in logging',
+  unrealistic: 'Unrealistic entry',
+  spike: 'Sudden spike'
+};
+
+export const DigitalHonestyScore = ({ refreshKey }) => {
+  const [honesty, setHonesty] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchHonesty();
+  }, [refreshKey]);
+
+  const fetchHonesty = async () => {
+    try {
+      setLoading(true);
+      const response = await analyticsAPI.getHonesty();
+      setHonesty(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load honesty score');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const getScoreColor = (score) => {
     if (score >= 80) return 'text-green-600 dark:text-green-400';
@@ -18,6 +41,28 @@ export const DigitalHonestyScore = ({ entries }) => {
     return 'bg-red-500';
   };
 
+  if (loading && !honesty) {
+    return (
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">Digital Honesty Score</h3>
+        <div className="flex items-center justify-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">Digital Honesty Score</h3>
+        <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+      </div>
+    );
+  }
+
+  const { score, penalties, penaltyPoints } = honesty;
+
   return (
     <div className="card">
       <h3 className="text-lg font-semibold mb-4">Digital Honesty Score</h3>
@@ -34,9 +79,29 @@ export const DigitalHonestyScore = ({ entries }) => {
           </div>
         </div>
       </div>
-      <p className="text-sm text-gray-600 dark:text-gray-400">
-        You are consistently tracking your usage.
-      </p>
+      {penalties.length === 0 ? (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          You are consistently tracking your usage.
+        </p>
+      ) : (
+        <div>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+            {penalties.length} {penalties.length === 1 ? 'issue' : 'issues'} cost {penaltyPoints} points
+            {penaltyPoints > 100 && ' (the score stops at 0)'}:
+          </p>
+          <ul className="space-y-1 max-h-48 overflow-y-auto">
+            {penalties.map((penalty, index) => (
+              <li key={index} className="flex justify-between text-sm">
+                <span>
+                  <span className="font-medium">{PENALTY_LABELS[penalty.type] || penalty.type}:</span>{' '}
+                  <span className="text-gray-600 dark:text-gray-400">{penalty.message}</span>
+                </span>
+                <span className="ml-4 whitespace-nowrap text-red-600 dark:text-red-400">-{penalty.points}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
@@ -47,6 +47,9 @@ export const Layout = ({ children }) => {
                   <Link to="/before-after" className="text-sm text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
                     Before/After
                   </Link>
+                  <Link to="/goals" className="text-sm text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                    Goals
+                  </Link>
                 </>
               )}
             </nav>
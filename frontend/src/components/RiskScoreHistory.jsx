@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { analyticsAPI } from '../services/api';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { format, subDays } from 'date-fns';
+import { getRiskModel } from '@shared/riskModel.js';
+
+const CUTOFF_COLORS = { high: '#ef4444', moderate: '#f59e0b' };
+
+const RANGES = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '3 months' },
+  { days: 180, label: '6 months' }
+];
+
+export const RiskScoreHistory = ({ refreshKey }) => {
+  const [points, setPoints] = useState([]);
+  const [rangeDays, setRangeDays] = useState(90);
+  const [step, setStep] = useState('day');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchHistory();
+  }, [refreshKey, rangeDays, step]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const today = new Date();
+      const response = await analyticsAPI.getRiskScoreHistory({
+        from: format(subDays(today, rangeDays), 'yyyy-MM-dd'),
+        to: format(today, 'yyyy-MM-dd'),
+        step
+      });
+      setPoints(response.data.data.points);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load risk score history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Risk Score History</h3>
+        <div className="flex space-x-2">
+          <select
+            value={rangeDays}
+            onChange={(e) => setRangeDays(Number(e.target.value))}
+            className="input-field text-sm"
+          >
+            {RANGES.map(range => (
+              <option key={range.days} value={range.days}>{range.label}</option>
+            ))}
+          </select>
+          <select
+            value={step}
+            onChange={(e) => setStep(e.target.value)}
+            className="input-field text-sm"
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-[300px]">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={points}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+              dataKey="date"
+              tickFormatter={(date) => format(new Date(date), 'MMM dd')}
+              stroke="#6b7280"
+            />
+            <YAxis domain={[0, 100]} stroke="#6b7280" />
+            <Tooltip
+              labelFormatter={(date) => `Week ending ${format(new Date(date), 'MMM dd, yyyy')}`}
+              formatter={(value) => [value, 'Risk score']}
+              contentStyle={{
+                backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px'
+              }}
+            />
+            {/* Category cut-offs from the risk model */}
+            {getRiskModel().categories.filter(category => category.minScore > 0).map(category => (
+              <ReferenceLine
+                key={category.level}
+                y={category.minScore}
+                stroke={CUTOFF_COLORS[category.level]}
+                strokeDasharray="4 4"
+              />
+            ))}
+            <Line
+              type="monotone"
+              dataKey="score"
+              stroke="#8b5cf6"
+              strokeWidth={2}
+              name="Risk score"
+              dot={step === 'week' ? { fill: '#8b5cf6', r: 4 } : false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { analyticsAPI } from '../services/api';
+import { formatMinutesToHours } from '../utils/timeFormatter';
+
+export const RiskScoreReductions = ({ refreshKey }) => {
+  const [reductions, setReductions] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReductions();
+  }, [refreshKey]);
+
+  const fetchReductions = async () => {
+    try {
+      const response = await analyticsAPI.getRiskScore();
+      setReductions(response.data.data.toLowerScore);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load risk score details');
+    }
+  };
+
+  const describeChange = (factor) => {
+    if (factor.unit === 'minutes') {
+      return `${formatMinutesToHours(factor.currentValue)} → ${formatMinutesToHours(factor.targetValue)} (${formatMinutesToHours(-factor.change)} less)`;
+    }
+    if (factor.unit === 'days') {
+      return `${factor.currentValue} → ${factor.targetValue} active days this week`;
+    }
+    return `${factor.currentLabel} → ${factor.targetLabel.toLowerCase()}`;
+  };
+
+  if (error) {
+    return <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>;
+  }
+
+  if (!reductions) {
+    return null;
+  }
+
+  if (!reductions.targetLevel) {
+    return (
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Your score is already in the lowest category.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mb-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+      <h4 className="font-medium mb-1">What would lower my score</h4>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+        Dropping to {reductions.targetCategory} ({reductions.targetScore} or below) means losing {reductions.pointsToLose} points.
+        Any one of these changes would do it on its own:
+      </p>
+      <ul className="space-y-1 text-sm">
+        {reductions.factors.map((factor) => (
+          <li key={factor.key} className="flex justify-between">
+            <span className="font-medium">{factor.label}</span>
+            <span className="text-gray-600 dark:text-gray-400">
+              {factor.achievable ? describeChange(factor) : 'Not enough on its own'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
@@ -1,32 +1,137 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { usageAPI } from '../services/api';
+import { useAppCatalog } from '../context/AppCatalogContext';
 import { format } from 'date-fns';
 import { formatMinutesToHours } from '../utils/timeFormatter';
 
-const APP_OPTIONS = [
-  'Instagram',
-  'Facebook',
-  'Twitter (X)',
-  'TikTok',
-  'YouTube',
-  'Snapchat',
-  'WhatsApp',
-  'Other'
-];
-
 export const UsageEntry = ({ onSuccess }) => {
+  const { apps, appNames } = useAppCatalog();
   const [formData, setFormData] = useState({
     appName: '',
     customAppName: '',
     minutesSpent: '',
     date: format(new Date(), 'yyyy-MM-dd'),
+    startTime: '',
     intention: '',
     foundIt: null
   });
   const [showIntention, setShowIntention] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [limitWarning, setLimitWarning] = useState('');
+  const [anomalyWarnings, setAnomalyWarnings] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [wholeDay, setWholeDay] = useState(false);
+  const [dayDate, setDayDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [dayLogs, setDayLogs] = useState({});
+  const [dayMinutes, setDayMinutes] = useState({});
+
+  // Catalog apps plus any other apps already logged for the day
+  const dayApps = [...new Set([...appNames, ...Object.keys(dayLogs)])];
+
+  useEffect(() => {
+    if (wholeDay) {
+      fetchDayLogs(dayDate);
+    }
+  }, [wholeDay, dayDate]);
+
+  // Load the day's existing entries so the grid shows (and updates) them
+  const fetchDayLogs = async (date) => {
+    try {
+      const response = await usageAPI.getAll({ startDate: date, endDate: date });
+      const logsByApp = {};
+      const minutesByApp = {};
+      response.data.data.logs.forEach(log => {
+        logsByApp[log.appName] = log;
+        minutesByApp[log.appName] = parseFloat(log.minutesSpent).toString();
+      });
+      setDayLogs(logsByApp);
+      setDayMinutes(minutesByApp);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load entries for this day');
+    }
+  };
+
+  const handleDayMinutesChange = (appName, value) => {
+    setDayMinutes({ ...dayMinutes, [appName]: value });
+    setError('');
+    setSuccess('');
+    setLimitWarning('');
+    setAnomalyWarnings([]);
+  };
+
+  const handleDaySubmit = (e) => {
+    e.preventDefault();
+    saveDay(false);
+  };
+
+  // acknowledged confirms entries the server flagged as unusual
+  const saveDay = async (acknowledged) => {
+    setError('');
+    setSuccess('');
+    setLimitWarning('');
+    setAnomalyWarnings([]);
+
+    const operations = [];
+
+    dayApps.forEach(appName => {
+      const value = dayMinutes[appName];
+      const existing = dayLogs[appName];
+      const hasValue = value !== undefined && value !== '';
+
+      if (existing && !hasValue) {
+        operations.push({ action: 'delete', id: existing.id });
+      } else if (existing && parseFloat(value) !== parseFloat(existing.minutesSpent)) {
+        operations.push({
+          action: 'update',
+          id: existing.id,
+          data: { appName, minutesSpent: parseFloat(value), date: dayDate }
+        });
+      } else if (!existing && hasValue) {
+        operations.push({
+          action: 'create',
+          data: { appName, minutesSpent: parseFloat(value), date: dayDate }
+        });
+      }
+    });
+
+    if (operations.length === 0) {
+      setError('Nothing to save for this day');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await usageAPI.batch(operations, acknowledged);
+      const alerts = response.data.data.results
+        .map(result => result.limitAlert?.message)
+        .filter(Boolean);
+
+      setSuccess(`Saved ${operations.length} ${operations.length === 1 ? 'change' : 'changes'} for ${format(new Date(dayDate), 'MMM dd, yyyy')}`);
+      if (alerts.length > 0) {
+        setLimitWarning(alerts.join(' '));
+      }
+      await fetchDayLogs(dayDate);
+
+      if (onSuccess) {
+        setTimeout(() => {
+          onSuccess();
+        }, 500);
+      }
+    } catch (err) {
+      const warnings = err.response?.status === 409
+        ? (err.response.data.data?.results || []).flatMap(result => result.warnings || [])
+        : [];
+      if (warnings.length > 0) {
+        setAnomalyWarnings(warnings);
+      } else {
+        setError(err.response?.data?.message || 'Failed to save the day');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -38,12 +143,21 @@ export const UsageEntry = ({ onSuccess }) => {
     });
     setError('');
     setSuccess('');
+    setLimitWarning('');
+    setAnomalyWarnings([]);
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
+    saveEntry(false);
+  };
+
+  // acknowledged confirms an entry the server flagged as unusual
+  const saveEntry = async (acknowledged) => {
     setError('');
     setSuccess('');
+    setLimitWarning('');
+    setAnomalyWarnings([]);
     setLoading(true);
 
     try {
@@ -58,20 +172,27 @@ export const UsageEntry = ({ onSuccess }) => {
         return;
       }
 
-      await usageAPI.create({
+      const response = await usageAPI.create({
         appName: finalAppName,
         minutesSpent: parseFloat(formData.minutesSpent),
         date: formData.date,
+        startHour: formData.startTime ? parseInt(formData.startTime.split(':')[0], 10) : null,
         intention: formData.intention ? formData.intention.trim() : null,
-        foundIt: formData.foundIt !== null ? formData.foundIt : null
+        foundIt: formData.foundIt !== null ? formData.foundIt : null,
+        acknowledged
       });
 
       setSuccess('Usage entry added successfully!');
+      const limitAlert = response.data.data.limitAlert;
+      if (limitAlert) {
+        setLimitWarning(limitAlert.message);
+      }
       setFormData({
         appName: '',
         customAppName: '',
         minutesSpent: '',
         date: format(new Date(), 'yyyy-MM-dd'),
+        startTime: '',
         intention: '',
         foundIt: null
       });
@@ -83,7 +204,12 @@ export const UsageEntry = ({ onSuccess }) => {
         }, 500);
       }
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to add usage entry');
+      const warnings = err.response?.status === 409 ? err.response.data.data?.warnings : null;
+      if (warnings?.length) {
+        setAnomalyWarnings(warnings);
+      } else {
+        setError(err.response?.data?.message || 'Failed to add usage entry');
+      }
     } finally {
       setLoading(false);
     }
@@ -92,10 +218,26 @@ export const UsageEntry = ({ onSuccess }) => {
   // Calculate preview time
   const previewMinutes = parseFloat(formData.minutesSpent) || 0;
   const timePreview = previewMinutes > 0 ? formatMinutesToHours(previewMinutes) : null;
+  const dayTotal = Object.values(dayMinutes).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
 
   return (
     <div className="card">
-      <h3 className="text-lg font-semibold mb-4">Add Usage Entry</h3>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">{wholeDay ? 'Log Whole Day' : 'Add Usage Entry'}</h3>
+        <button
+          type="button"
+          onClick={() => {
+            setWholeDay(!wholeDay);
+            setError('');
+            setSuccess('');
+            setLimitWarning('');
+            setAnomalyWarnings([]);
+          }}
+          className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+        >
+          {wholeDay ? 'Single entry' : 'Log whole day'}
+        </button>
+      </div>
 
       {error && (
         <div className="mb-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
@@ -109,168 +251,302 @@ export const UsageEntry = ({ onSuccess }) => {
         </div>
       )}
 
-      <form onSubmit={handleSubmit} className="space-y-4">
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <div>
-            <label htmlFor="appName" className="block text-sm font-medium mb-2">
-              App Name
-            </label>
-            <select
-              id="appName"
-              name="appName"
-              value={formData.appName}
-              onChange={handleChange}
-              className="input-field"
-              required
-            >
-              <option value="">Select an app</option>
-              {APP_OPTIONS.map((app) => (
-                <option key={app} value={app}>
-                  {app}
-                </option>
-              ))}
-            </select>
-            {formData.appName === 'Other' && (
-              <input
-                type="text"
-                name="customAppName"
-                value={formData.customAppName}
-                onChange={handleChange}
-                className="input-field mt-2"
-                placeholder="Enter app name"
-                required
-                maxLength={100}
-              />
-            )}
-          </div>
-
-          <div>
-            <label htmlFor="minutesSpent" className="block text-sm font-medium mb-2">
-              Minutes Spent
-            </label>
-            <input
-              type="number"
-              id="minutesSpent"
-              name="minutesSpent"
-              value={formData.minutesSpent}
-              onChange={handleChange}
-              className="input-field"
-              placeholder="0"
-              required
-              min="0"
-              max="1440"
-              step="0.01"
-            />
-            {timePreview && (
-              <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
-                You spent: <span className="font-medium">{timePreview}</span>
-              </p>
-            )}
-          </div>
+      {limitWarning && (
+        <div className="mb-4 p-3 bg-yellow-100 dark:bg-yellow-900/30 border border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-300 rounded-lg">
+          {limitWarning}
+        </div>
+      )}
 
-          <div>
-            <label htmlFor="date" className="block text-sm font-medium mb-2">
+      {wholeDay ? (
+        <form onSubmit={handleDaySubmit} className="space-y-4">
+          <div className="md:w-1/3">
+            <label htmlFor="dayDate" className="block text-sm font-medium mb-2">
               Date
             </label>
             <input
               type="date"
-              id="date"
-              name="date"
-              value={formData.date}
-              onChange={handleChange}
+              id="dayDate"
+              value={dayDate}
+              onChange={(e) => {
+                setDayDate(e.target.value);
+                setAnomalyWarnings([]);
+              }}
               className="input-field"
               required
               max={format(new Date(), 'yyyy-MM-dd')}
             />
           </div>
-        </div>
 
-        {/* Intention Tracking (Optional) */}
-        <div className="border-t pt-4 mt-4">
-          <div className="flex items-center justify-between mb-3">
-            <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
-              Track Your Intention (Optional)
-            </label>
-            <button
-              type="button"
-              onClick={() => setShowIntention(!showIntention)}
-              className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
-            >
-              {showIntention ? 'Hide' : 'Add Intention'}
-            </button>
-          </div>
-          
-          {showIntention && (
-            <div className="space-y-3 bg-gray-50 dark:bg-gray-800/50 p-4 rounded-lg">
-              <div>
-                <label htmlFor="intention" className="block text-sm font-medium mb-2">
-                  What were you looking for when you opened this app?
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {dayApps.map((appName) => (
+              <div key={appName}>
+                <label htmlFor={`day-${appName}`} className="block text-sm font-medium mb-2">
+                  {appName}
                 </label>
                 <input
-                  type="text"
-                  id="intention"
-                  name="intention"
-                  value={formData.intention}
-                  onChange={handleChange}
+                  type="number"
+                  id={`day-${appName}`}
+                  value={dayMinutes[appName] ?? ''}
+                  onChange={(e) => handleDayMinutesChange(appName, e.target.value)}
                   className="input-field"
-                  placeholder="e.g., to relax, check messages, find inspiration..."
-                  maxLength={200}
+                  placeholder="0"
+                  min="0"
+                  max="1440"
+                  step="0.01"
                 />
               </div>
-              {formData.intention && (
+            ))}
+          </div>
+
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Total: <span className="font-medium">{formatMinutesToHours(dayTotal)}</span>. Clear a value to remove that entry.
+          </p>
+
+          {anomalyWarnings.length > 0 && (
+            <div className="p-3 bg-yellow-100 dark:bg-yellow-900/30 border border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-300 rounded-lg">
+              {anomalyWarnings.map((warning, index) => (
+                <p key={index}>{warning.message}</p>
+              ))}
+              <div className="flex space-x-2 mt-3">
+                <button
+                  type="button"
+                  onClick={() => saveDay(true)}
+                  disabled={loading}
+                  className="btn-primary text-sm"
+                >
+                  Yes, save it
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setAnomalyWarnings([])}
+                  className="btn-secondary text-sm"
+                >
+                  Let me fix it
+                </button>
+              </div>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn-primary"
+          >
+            {loading ? 'Saving...' : 'Save Day'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="appName" className="block text-sm font-medium mb-2">
+                App Name
+              </label>
+              <select
+                id="appName"
+                name="appName"
+                value={formData.appName}
+                onChange={handleChange}
+                className="input-field"
+                required
+              >
+                <option value="">Select an app</option>
+                {apps.map((app) => (
+                  <option key={app.id} value={app.name}>
+                    {app.icon ? `${app.icon} ${app.name}` : app.name}
+                  </option>
+                ))}
+                <option value="Other">Other</option>
+              </select>
+              {formData.appName === 'Other' && (
+                <input
+                  type="text"
+                  name="customAppName"
+                  value={formData.customAppName}
+                  onChange={handleChange}
+                  className="input-field mt-2"
+                  placeholder="Enter app name"
+                  required
+                  maxLength={100}
+                />
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="minutesSpent" className="block text-sm font-medium mb-2">
+                Minutes Spent
+              </label>
+              <input
+                type="number"
+                id="minutesSpent"
+                name="minutesSpent"
+                value={formData.minutesSpent}
+                onChange={handleChange}
+                className="input-field"
+                placeholder="0"
+                required
+                min="0"
+                max="1440"
+                step="0.01"
+              />
+              {timePreview && (
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                  You spent: <span className="font-medium">{timePreview}</span>
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="date" className="block text-sm font-medium mb-2">
+                Date
+              </label>
+              <input
+                type="date"
+                id="date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                className="input-field"
+                required
+                max={format(new Date(), 'yyyy-MM-dd')}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="startTime" className="block text-sm font-medium mb-2">
+                Started Around (Optional)
+              </label>
+              <input
+                type="time"
+                id="startTime"
+                name="startTime"
+                value={formData.startTime}
+                onChange={handleChange}
+                className="input-field"
+              />
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                Used to detect late-night usage
+              </p>
+            </div>
+          </div>
+
+          {/* Intention Tracking (Optional) */}
+          <div className="border-t pt-4 mt-4">
+            <div className="flex items-center justify-between mb-3">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Track Your Intention (Optional)
+              </label>
+              <button
+                type="button"
+                onClick={() => setShowIntention(!showIntention)}
+                className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                {showIntention ? 'Hide' : 'Add Intention'}
+              </button>
+            </div>
+          
+            {showIntention && (
+              <div className="space-y-3 bg-gray-50 dark:bg-gray-800/50 p-4 rounded-lg">
                 <div>
-                  <label className="block text-sm font-medium mb-2">
-                    Did you find it?
+                  <label htmlFor="intention" className="block text-sm font-medium mb-2">
+                    What were you looking for when you opened this app?
                   </label>
-                  <div className="flex space-x-4">
-                    <label className="flex items-center">
-                      <input
-                        type="radio"
-                        name="foundIt"
-                        value="true"
-                        checked={formData.foundIt === true}
-                        onChange={() => setFormData({ ...formData, foundIt: true })}
-                        className="mr-2"
-                      />
-                      Yes
-                    </label>
-                    <label className="flex items-center">
-                      <input
-                        type="radio"
-                        name="foundIt"
-                        value="false"
-                        checked={formData.foundIt === false}
-                        onChange={() => setFormData({ ...formData, foundIt: false })}
-                        className="mr-2"
-                      />
-                      No
-                    </label>
-                    <label className="flex items-center">
-                      <input
-                        type="radio"
-                        name="foundIt"
-                        value="null"
-                        checked={formData.foundIt === null}
-                        onChange={() => setFormData({ ...formData, foundIt: null })}
-                        className="mr-2"
-                      />
-                      Not sure
+                  <input
+                    type="text"
+                    id="intention"
+                    name="intention"
+                    value={formData.intention}
+                    onChange={handleChange}
+                    className="input-field"
+                    placeholder="e.g., to relax, check messages, find inspiration..."
+                    maxLength={200}
+                  />
+                </div>
+                {formData.intention && (
+                  <div>
+                    <label className="block text-sm font-medium mb-2">
+                      Did you find it?
                     </label>
+                    <div className="flex space-x-4">
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="foundIt"
+                          value="true"
+                          checked={formData.foundIt === true}
+                          onChange={() => setFormData({ ...formData, foundIt: true })}
+                          className="mr-2"
+                        />
+                        Yes
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="foundIt"
+                          value="false"
+                          checked={formData.foundIt === false}
+                          onChange={() => setFormData({ ...formData, foundIt: false })}
+                          className="mr-2"
+                        />
+                        No
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="foundIt"
+                          value="null"
+                          checked={formData.foundIt === null}
+                          onChange={() => setFormData({ ...formData, foundIt: null })}
+                          className="mr-2"
+                        />
+                        Not sure
+                      </label>
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
+            )}
+          </div>
+
+          {anomalyWarnings.length > 0 && (
+            <div className="p-3 bg-yellow-100 dark:bg-yellow-900/30 border border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-300 rounded-lg">
+              {anomalyWarnings.map((warning) => (
+                <p key={warning.type}>{warning.message}</p>
+              ))}
+              <div className="flex space-x-2 mt-3">
+                <button
+                  type="button"
+                  onClick={() => saveEntry(true)}
+                  disabled={loading}
+                  className="btn-primary text-sm"
+                >
+                  Yes, save it
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setAnomalyWarnings([]);
+                    document.getElementById('minutesSpent')?.focus();
+                  }}
+                  className="btn-secondary text-sm"
+                >
+                  Let me fix it
+                </button>
+              </div>
             </div>
           )}
-        </div>
 
-        <button
-          type="submit"
-          disabled={loading}
-          className="btn-primary"
-        >
-          {loading ? 'Adding...' : 'Add Entry'}
-        </button>
-      </form>
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn-primary"
+          >
+            {loading ? 'Adding...' : 'Add Entry'}
+          </button>
+        </form>
+      )}
     </div>
   );
 };
@@ -1,35 +1,71 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { usageAPI } from '../services/api';
+import { useAppCatalog } from '../context/AppCatalogContext';
+import { AppMerge } from './AppMerge';
 import { format } from 'date-fns';
 import { formatMinutesToHours } from '../utils/timeFormatter';
 
-const APP_OPTIONS = [
-  'Instagram',
-  'Facebook',
-  'Twitter (X)',
-  'TikTok',
-  'YouTube',
-  'Snapchat',
-  'WhatsApp',
-  'Other'
-];
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  appName: '',
+  startDate: '',
+  endDate: '',
+  minMinutes: '',
+  maxMinutes: '',
+  intention: '',
+  foundIt: '',
+  sort: 'date',
+  order: 'desc'
+};
+
+// Drop empty filter fields so they are not sent as query params
+const toQueryParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '')
+);
 
 export const UsageHistory = ({ onUpdate }) => {
+  const { appNames } = useAppCatalog();
   const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [filterForm, setFilterForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [showMerge, setShowMerge] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [editForm, setEditForm] = useState({ appName: '', customAppName: '', minutesSpent: '', date: '' });
 
+  const sentinelRef = useRef(null);
+
   useEffect(() => {
     fetchLogs();
-  }, []);
+  }, [filters]);
+
+  // Load the next page when the bottom of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchMore();
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore]);
 
   const fetchLogs = async () => {
     try {
       setLoading(true);
-      const response = await usageAPI.getAll({ limit: 50 });
-      setLogs(response.data.data.logs);
+      const response = await usageAPI.getAll({ ...toQueryParams(filters), limit: PAGE_SIZE });
+      const { logs: page, total: matching, nextCursor: cursor } = response.data.data;
+      setLogs(page);
+      setTotal(matching);
+      setNextCursor(cursor);
       setError('');
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to load usage history');
@@ -38,10 +74,40 @@ export const UsageHistory = ({ onUpdate }) => {
     }
   };
 
+  const fetchMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const response = await usageAPI.getAll({ ...toQueryParams(filters), limit: PAGE_SIZE, cursor: nextCursor });
+      const { logs: page, total: matching, nextCursor: cursor } = response.data.data;
+      setLogs(prev => [...prev, ...page]);
+      setTotal(matching);
+      setNextCursor(cursor);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load more entries');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setFilters({ ...filterForm });
+  };
+
+  const handleResetFilters = () => {
+    setFilterForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const filtersActive = Object.keys(EMPTY_FILTERS)
+    .some(key => !['sort', 'order'].includes(key) && filters[key] !== '');
+
   const handleEdit = (log) => {
     setEditingId(log.id);
-    // Check if the app name is in the predefined list
-    const isPredefined = APP_OPTIONS.includes(log.appName);
+    // Check if the app name is in the catalog
+    const isPredefined = appNames.includes(log.appName);
     setEditForm({
       appName: isPredefined ? log.appName : 'Other',
       customAppName: isPredefined ? '' : log.appName,
@@ -68,11 +134,24 @@ export const UsageHistory = ({ onUpdate }) => {
         return;
       }
 
-      await usageAPI.update(id, {
+      const changes = {
         appName: finalAppName,
         minutesSpent: parseFloat(editForm.minutesSpent),
         date: editForm.date
-      });
+      };
+
+      try {
+        await usageAPI.update(id, changes);
+      } catch (err) {
+        const warnings = err.response?.status === 409 ? err.response.data.data?.warnings : null;
+        if (!warnings?.length) throw err;
+
+        // The server flagged the new values as unusual; save only if the user confirms
+        if (!window.confirm(warnings.map(warning => warning.message).join('\n'))) {
+          return;
+        }
+        await usageAPI.update(id, { ...changes, acknowledged: true });
+      }
 
       setEditingId(null);
       await fetchLogs();
@@ -82,6 +161,28 @@ export const UsageHistory = ({ onUpdate }) => {
     }
   };
 
+  const handleExport = async (exportFormat) => {
+    try {
+      setError('');
+      setExporting(true);
+      const response = await usageAPI.export({ format: exportFormat });
+
+      // Trigger a browser download from the returned file
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `usage-logs-${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export usage history');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this entry?')) {
       return;
@@ -111,9 +212,31 @@ export const UsageHistory = ({ onUpdate }) => {
     <div className="card">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold">Usage History</h3>
-        <button onClick={fetchLogs} className="btn-secondary text-sm">
-          Refresh
-        </button>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setShowMerge(!showMerge)}
+            className="btn-secondary text-sm"
+          >
+            Merge Apps
+          </button>
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={exporting}
+            className="btn-secondary text-sm"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => handleExport('json')}
+            disabled={exporting}
+            className="btn-secondary text-sm"
+          >
+            Export JSON
+          </button>
+          <button onClick={fetchLogs} className="btn-secondary text-sm">
+            Refresh
+          </button>
+        </div>
       </div>
 
       {error && (
@@ -122,9 +245,128 @@ export const UsageHistory = ({ onUpdate }) => {
         </div>
       )}
 
+      {showMerge && (
+        <AppMerge
+          onMerged={() => {
+            fetchLogs();
+            if (onUpdate) onUpdate();
+          }}
+          onClose={() => setShowMerge(false)}
+        />
+      )}
+
+      <form onSubmit={handleApplyFilters} className="mb-4 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-5 gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium mb-1">App</label>
+          <input
+            type="text"
+            value={filterForm.appName}
+            onChange={(e) => setFilterForm({ ...filterForm, appName: e.target.value })}
+            className="input-field text-sm"
+            placeholder="Any app"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">From</label>
+          <input
+            type="date"
+            value={filterForm.startDate}
+            onChange={(e) => setFilterForm({ ...filterForm, startDate: e.target.value })}
+            className="input-field text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">To</label>
+          <input
+            type="date"
+            value={filterForm.endDate}
+            onChange={(e) => setFilterForm({ ...filterForm, endDate: e.target.value })}
+            className="input-field text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Min minutes</label>
+          <input
+            type="number"
+            value={filterForm.minMinutes}
+            onChange={(e) => setFilterForm({ ...filterForm, minMinutes: e.target.value })}
+            className="input-field text-sm"
+            min="0"
+            max="1440"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Max minutes</label>
+          <input
+            type="number"
+            value={filterForm.maxMinutes}
+            onChange={(e) => setFilterForm({ ...filterForm, maxMinutes: e.target.value })}
+            className="input-field text-sm"
+            min="0"
+            max="1440"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Intention</label>
+          <input
+            type="text"
+            value={filterForm.intention}
+            onChange={(e) => setFilterForm({ ...filterForm, intention: e.target.value })}
+            className="input-field text-sm"
+            placeholder="Contains..."
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Found it?</label>
+          <select
+            value={filterForm.foundIt}
+            onChange={(e) => setFilterForm({ ...filterForm, foundIt: e.target.value })}
+            className="input-field text-sm"
+          >
+            <option value="">Any</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+            <option value="unanswered">Not answered</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Sort by</label>
+          <select
+            value={filterForm.sort}
+            onChange={(e) => setFilterForm({ ...filterForm, sort: e.target.value })}
+            className="input-field text-sm"
+          >
+            <option value="date">Date</option>
+            <option value="minutes">Minutes</option>
+            <option value="app">App</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Order</label>
+          <select
+            value={filterForm.order}
+            onChange={(e) => setFilterForm({ ...filterForm, order: e.target.value })}
+            className="input-field text-sm"
+          >
+            <option value="desc">Descending</option>
+            <option value="asc">Ascending</option>
+          </select>
+        </div>
+        <div className="flex space-x-2">
+          <button type="submit" className="btn-primary text-sm">
+            Apply
+          </button>
+          <button type="button" onClick={handleResetFilters} className="btn-secondary text-sm">
+            Reset
+          </button>
+        </div>
+      </form>
+
       {logs.length === 0 ? (
         <div className="text-center py-8 text-gray-500 dark:text-gray-400">
-          No usage entries yet. Add your first entry above!
+          {filtersActive
+            ? 'No entries match these filters.'
+            : 'No usage entries yet. Add your first entry above!'}
         </div>
       ) : (
         <div className="overflow-x-auto">
@@ -165,11 +407,12 @@ export const UsageHistory = ({ onUpdate }) => {
                           className="input-field text-sm"
                         >
                           <option value="">Select an app</option>
-                          {APP_OPTIONS.map((app) => (
+                          {appNames.map((app) => (
                             <option key={app} value={app}>
                               {app}
                             </option>
                           ))}
+                          <option value="Other">Other</option>
                         </select>
                         {editForm.appName === 'Other' && (
                           <input
@@ -238,6 +481,18 @@ export const UsageHistory = ({ onUpdate }) => {
               ))}
             </tbody>
           </table>
+          <div ref={sentinelRef} className="flex items-center justify-between py-3 px-4 text-sm text-gray-500 dark:text-gray-400">
+            <span>Showing {logs.length} of {total} entries</span>
+            {nextCursor && (
+              <button
+                onClick={fetchMore}
+                disabled={loadingMore}
+                className="text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
         </div>
       )}
     </div>
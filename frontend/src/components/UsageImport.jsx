@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import { usageAPI } from '../services/api';
+
+const SOURCE_OPTIONS = [
+  { value: 'android_wellbeing', label: 'Android Digital Wellbeing' },
+  { value: 'ios_screentime', label: 'iOS Screen Time' },
+  { value: 'tracker', label: 'Other tracker app' },
+  { value: 'csv', label: 'Export from this app (CSV)' },
+  { value: 'json', label: 'Export from this app (JSON)' }
+];
+
+const CONFLICT_OPTIONS = [
+  { value: 'skip', label: 'Keep my existing entry' },
+  { value: 'overwrite', label: 'Replace with the imported minutes' },
+  { value: 'sum', label: 'Add the imported minutes' }
+];
+
+export const UsageImport = ({ onSuccess }) => {
+  const [source, setSource] = useState('android_wellbeing');
+  const [conflictStrategy, setConflictStrategy] = useState('overwrite');
+  const [fileText, setFileText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    setError('');
+    setSuccess('');
+
+    if (!file) {
+      setFileText('');
+      setFileName('');
+      return;
+    }
+
+    setFileText(await file.text());
+    setFileName(file.name);
+  };
+
+  const buildPayload = (dryRun) => {
+    let data = fileText;
+    // JSON files are sent parsed; anything else is sent as CSV text
+    if (fileName.toLowerCase().endsWith('.json') || source === 'json') {
+      data = JSON.parse(fileText);
+    }
+    return { format: source, data, conflictStrategy, dryRun };
+  };
+
+  const runImport = async (dryRun) => {
+    setError('');
+    setSuccess('');
+    setLoading(true);
+
+    try {
+      const response = await usageAPI.import(buildPayload(dryRun));
+      const result = response.data.data;
+
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        const { created, updated, merged } = result.summary;
+        setSuccess(`Imported ${created + updated + merged} entries`);
+        setPreview(null);
+        if (onSuccess) onSuccess();
+      }
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        setError('That file is not valid JSON');
+      } else {
+        setError(err.response?.data?.message || 'Failed to import file');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-2">Import Usage</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Upload a screen-time export instead of typing minutes by hand.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-3 bg-green-100 dark:bg-green-900/30 border border-green-400 dark:border-green-700 text-green-700 dark:text-green-400 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label htmlFor="importSource" className="block text-sm font-medium mb-2">
+            Source
+          </label>
+          <select
+            id="importSource"
+            value={source}
+            onChange={(e) => { setSource(e.target.value); setPreview(null); }}
+            className="input-field"
+          >
+            {SOURCE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="conflictStrategy" className="block text-sm font-medium mb-2">
+            If a day is already logged
+          </label>
+          <select
+            id="conflictStrategy"
+            value={conflictStrategy}
+            onChange={(e) => { setConflictStrategy(e.target.value); setPreview(null); }}
+            className="input-field"
+          >
+            {CONFLICT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="importFile" className="block text-sm font-medium mb-2">
+            File (CSV or JSON)
+          </label>
+          <input
+            type="file"
+            id="importFile"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-gray-600 dark:text-gray-400"
+          />
+        </div>
+      </div>
+
+      {preview && (
+        <div className="mb-4 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm">
+          <p className="font-medium mb-2">Preview</p>
+          <p className="text-gray-600 dark:text-gray-400">
+            {preview.summary.created} new, {preview.summary.updated} replaced, {preview.summary.merged} added to,{' '}
+            {preview.summary.skipped} skipped, {preview.summary.invalid} invalid
+            {preview.unparsedRows?.length > 0 && `, ${preview.unparsedRows.length} rows could not be read`}
+          </p>
+          {preview.rows.filter(row => row.status === 'invalid').slice(0, 5).map((row) => (
+            <p key={row.row} className="text-red-600 dark:text-red-400 mt-1">
+              {row.appName || 'Row ' + row.row} {row.date && `(${row.date})`}: {row.errors.join(', ')}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={() => runImport(true)}
+          disabled={!fileText || loading}
+          className="btn-secondary"
+        >
+          {loading && !preview ? 'Checking...' : 'Preview'}
+        </button>
+        <button
+          onClick={() => runImport(false)}
+          disabled={!preview || loading}
+          className="btn-primary"
+        >
+          {loading && preview ? 'Importing...' : 'Import'}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,49 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { appsAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const AppCatalogContext = createContext();
+
+export const useAppCatalog = () => {
+  const context = useContext(AppCatalogContext);
+  if (!context) {
+    throw new Error('useAppCatalog must be used within an AppCatalogProvider');
+  }
+  return context;
+};
+
+export const AppCatalogProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [apps, setApps] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // The catalog is the same for everyone, so it's loaded once per login
+  useEffect(() => {
+    if (user) {
+      fetchApps();
+    } else {
+      setApps([]);
+    }
+  }, [user]);
+
+  const fetchApps = async () => {
+    try {
+      setLoading(true);
+      const response = await appsAPI.getAll();
+      setApps(response.data.data.apps || []);
+    } catch (error) {
+      console.error('[App Catalog] Failed to load apps:', error);
+      setApps([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const value = {
+    apps,
+    appNames: apps.map(app => app.name),
+    loading
+  };
+
+  return <AppCatalogContext.Provider value={value}>{children}</AppCatalogContext.Provider>;
+};
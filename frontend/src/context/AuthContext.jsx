@@ -11,6 +11,9 @@ export const useAuth = () => {
   return context;
 };
 
+// IANA timezone of this browser, e.g. "Asia/Kolkata"
+const getBrowserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -20,6 +23,21 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // The backend decides where the user's days start from their saved timezone,
+  // so keep it in step with the device they are using
+  const syncTimezone = async (userData) => {
+    const timezone = getBrowserTimezone();
+    if (!timezone || userData.timezone === timezone) return userData;
+
+    try {
+      const response = await authAPI.updateMe({ timezone });
+      return response.data.data.user;
+    } catch (error) {
+      console.error('[Auth Context] Timezone update failed:', error);
+      return userData;
+    }
+  };
+
   const checkAuth = async () => {
     const token = localStorage.getItem('accessToken');
     if (!token) {
@@ -31,7 +49,7 @@ export const AuthProvider = ({ children }) => {
       console.log('[Auth Context] Checking authentication status');
       const response = await authAPI.getMe();
       if (response.data.success && response.data.data?.user) {
-        setUser(response.data.data.user);
+        setUser(await syncTimezone(response.data.data.user));
         console.log('[Auth Context] User authenticated:', response.data.data.user.id);
       }
     } catch (error) {
@@ -64,7 +82,7 @@ export const AuthProvider = ({ children }) => {
 
         localStorage.setItem('accessToken', tokens.accessToken);
         localStorage.setItem('refreshToken', tokens.refreshToken);
-        setUser(userData);
+        setUser(await syncTimezone(userData));
         
         console.log('[Auth Context] Login successful');
         return response.data;
@@ -91,7 +109,7 @@ export const AuthProvider = ({ children }) => {
         throw new Error('Username, email, and password are required');
       }
 
-      const response = await authAPI.register({ username, email, password });
+      const response = await authAPI.register({ username, email, password, timezone: getBrowserTimezone() });
       
       if (response.data.success && response.data.data) {
         const { user: userData, tokens } = response.data.data;
@@ -121,6 +139,13 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Save profile settings such as timezone or week start
+  const updateProfile = async (data) => {
+    const response = await authAPI.updateMe(data);
+    setUser(response.data.data.user);
+    return response.data.data.user;
+  };
+
   const logout = async () => {
     try {
       console.log('[Auth Context] Attempting logout');
@@ -141,6 +166,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    updateProfile,
     loading
   };
 
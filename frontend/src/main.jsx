@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
+import { AppCatalogProvider } from './context/AppCatalogContext';
 import './index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -14,7 +15,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       }}
     >
       <AuthProvider>
-        <App />
+        <AppCatalogProvider>
+          <App />
+        </AppCatalogProvider>
       </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { analyticsAPI } from '../services/api';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Cell } from 'recharts';
+import { format } from 'date-fns';
+import { formatMinutesToHours } from '../utils/timeFormatter';
+
+const UNTRACKED_COLOR = '#9ca3af';
+
+const TREND_STYLES = {
+  increasing: { label: 'Increasing', className: 'text-red-600 dark:text-red-400' },
+  decreasing: { label: 'Decreasing', className: 'text-green-600 dark:text-green-400' },
+  stable: { label: 'Stable', className: 'text-gray-700 dark:text-gray-300' },
+  'insufficient-data': { label: 'Not enough data', className: 'text-gray-500 dark:text-gray-400' }
+};
+
+// Untracked days get a hollow grey dot, as on the dashboard
+const renderDailyDot = ({ cx, cy, payload, key }) => {
+  if (cx == null || cy == null) return null;
+  return payload.logged
+    ? <circle key={key} cx={cx} cy={cy} r={2} fill="#0ea5e9" />
+    : <circle key={key} cx={cx} cy={cy} r={3} fill="#ffffff" stroke={UNTRACKED_COLOR} strokeWidth={1.5} />;
+};
+
+export const AppDetail = () => {
+  const { appName } = useParams();
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [appName]);
+
+  const fetchAnalytics = async () => {
+    try {
+      setLoading(true);
+      const response = await analyticsAPI.getAppAnalytics(appName);
+      setAnalytics(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load app analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="card">
+        <div className="text-red-600 dark:text-red-400">{error}</div>
+        <Link to="/dashboard" className="btn-secondary inline-block mt-4">
+          Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  const { averages, trend, share, weekdays } = analytics;
+  const trendStyle = TREND_STYLES[trend.direction] || TREND_STYLES.stable;
+
+  const dailySeries = analytics.daily.map(day => ({
+    ...day,
+    trackedMinutes: day.logged ? day.minutes : null,
+    untrackedMinutes: day.logged ? null : 0
+  }));
+
+  const formatAverage = (minutes) => (minutes === null ? 'No data' : formatMinutesToHours(minutes));
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <Link to="/dashboard" className="text-sm text-primary-600 dark:text-primary-400 hover:underline">
+          &larr; Dashboard
+        </Link>
+        <h1 className="text-3xl font-bold mt-2">{analytics.appName}</h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Last 90 days ({format(new Date(analytics.startDate), 'MMM dd')} - {format(new Date(analytics.endDate), 'MMM dd, yyyy')})
+        </p>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">7-day average</p>
+          <p className="text-2xl font-bold">{formatAverage(averages.last7Days)}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">30-day average</p>
+          <p className="text-2xl font-bold">{formatAverage(averages.last30Days)}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">90-day average</p>
+          <p className="text-2xl font-bold">{formatAverage(averages.last90Days)}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">Trend (30 days)</p>
+          <p className={`text-2xl font-bold ${trendStyle.className}`}>{trendStyle.label}</p>
+          {trend.slope !== null ? (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {trend.slope > 0 ? '+' : ''}{trend.slope} min/day, {Math.round(trend.confidence * 100)}% confidence
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {trend.daysUsed} of {trend.windowDays} days tracked
+            </p>
+          )}
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">Share of usage (30 days)</p>
+          <p className="text-2xl font-bold">{share.percentage}%</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {formatMinutesToHours(share.appMinutes)} of {formatMinutesToHours(share.totalMinutes)}
+          </p>
+        </div>
+      </div>
+
+      {/* Daily Series */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">Daily Usage</h3>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={dailySeries}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+              dataKey="date"
+              tickFormatter={(date) => format(new Date(date), 'MMM dd')}
+              stroke="#6b7280"
+              minTickGap={20}
+            />
+            <YAxis stroke="#6b7280" />
+            <Tooltip
+              labelFormatter={(date) => format(new Date(date), 'MMM dd, yyyy')}
+              formatter={(value, name, item) => [
+                item.payload.logged ? formatMinutesToHours(value) : 'Not tracked',
+                'Usage'
+              ]}
+              contentStyle={{
+                backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px'
+              }}
+            />
+            <Line
+              type="monotone"
+              dataKey="trackedMinutes"
+              stroke="#0ea5e9"
+              strokeWidth={2}
+              name="Minutes"
+              dot={renderDailyDot}
+            />
+            <Line
+              dataKey="untrackedMinutes"
+              stroke="none"
+              name="Not tracked"
+              dot={renderDailyDot}
+              activeDot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Weekday Pattern */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-1">By Weekday</h3>
+        {weekdays.best && weekdays.worst && (
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Best day: <span className="font-medium text-green-600 dark:text-green-400">{weekdays.best.day}</span>
+            {' '}({formatMinutesToHours(weekdays.best.averageMinutes)} on average).
+            Worst day: <span className="font-medium text-red-600 dark:text-red-400">{weekdays.worst.day}</span>
+            {' '}({formatMinutesToHours(weekdays.worst.averageMinutes)} on average).
+          </p>
+        )}
+        <ResponsiveContainer width="100%" height={250}>
+          <BarChart data={weekdays.byWeekday}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="day" tickFormatter={(day) => day.slice(0, 3)} stroke="#6b7280" />
+            <YAxis stroke="#6b7280" />
+            <Tooltip
+              formatter={(value, name, item) => [
+                `${formatMinutesToHours(value)} (${item.payload.days} days)`,
+                'Average'
+              ]}
+            />
+            <Bar dataKey="averageMinutes" name="Average minutes">
+              {weekdays.byWeekday.map((weekday) => (
+                <Cell
+                  key={weekday.day}
+                  fill={
+                    weekday.day === weekdays.best?.day ? '#10b981' :
+                    weekday.day === weekdays.worst?.day ? '#ef4444' : '#8b5cf6'
+                  }
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
@@ -1,24 +1,57 @@
 import { useState, useEffect, useMemo } from 'react';
-import { usageAPI } from '../services/api';
-import { calculateBeforeAfter } from '../utils/beforeAfterAnalysis';
+import { usageAPI, interventionsAPI } from '../services/api';
+import { calculateBeforeAfter } from '@shared/beforeAfter.js';
 import { formatMinutesToHours } from '../utils/timeFormatter';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ReferenceArea, ResponsiveContainer } from 'recharts';
+import { format, parseISO } from 'date-fns';
+
+// Comparing the start of tracking with the latest days, rather than around an intervention
+const TRACKING_BASELINE = 'tracking';
+
+const MARKER_COLOR = '#f59e0b';
+const SELECTED_MARKER_COLOR = '#ef4444';
+
+const EMPTY_INTERVENTION = {
+  date: format(new Date(), 'yyyy-MM-dd'),
+  label: '',
+  description: ''
+};
+
+const toTime = (date) => parseISO(date).getTime();
 
 export const BeforeAfterTracking = () => {
   const [entries, setEntries] = useState([]);
+  const [interventions, setInterventions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [daysToCompare, setDaysToCompare] = useState(7);
+  const [baseline, setBaseline] = useState(TRACKING_BASELINE);
+  const [interventionComparison, setInterventionComparison] = useState(null);
+  const [comparisonLoading, setComparisonLoading] = useState(false);
+  const [comparisonError, setComparisonError] = useState('');
+  const [showInterventionForm, setShowInterventionForm] = useState(false);
+  const [interventionForm, setInterventionForm] = useState(EMPTY_INTERVENTION);
+  const [interventionError, setInterventionError] = useState('');
 
   useEffect(() => {
     fetchEntries();
   }, []);
 
+  useEffect(() => {
+    if (baseline !== TRACKING_BASELINE) {
+      fetchInterventionComparison();
+    }
+  }, [baseline, daysToCompare]);
+
   const fetchEntries = async () => {
     try {
       setLoading(true);
-      const response = await usageAPI.getAll({ limit: 1000 });
-      setEntries(response.data.data.logs || []);
+      const [logs, interventionsResponse] = await Promise.all([
+        usageAPI.getAllPages(),
+        interventionsAPI.getAll()
+      ]);
+      setEntries(logs);
+      setInterventions(interventionsResponse.data.data.interventions);
       setError('');
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to load usage entries');
@@ -27,10 +60,77 @@ export const BeforeAfterTracking = () => {
     }
   };
 
-  const comparison = useMemo(() => {
+  const fetchInterventions = async () => {
+    const response = await interventionsAPI.getAll();
+    setInterventions(response.data.data.interventions);
+  };
+
+  const fetchInterventionComparison = async () => {
+    try {
+      setComparisonLoading(true);
+      setInterventionComparison(null);
+      setComparisonError('');
+      const response = await interventionsAPI.getComparison(baseline, { days: daysToCompare });
+      setInterventionComparison(response.data.data);
+    } catch (err) {
+      setComparisonError(err.response?.data?.message || 'Failed to compare around this intervention');
+    } finally {
+      setComparisonLoading(false);
+    }
+  };
+
+  const handleAddIntervention = async (e) => {
+    e.preventDefault();
+    try {
+      setInterventionError('');
+      const response = await interventionsAPI.create({
+        date: interventionForm.date,
+        label: interventionForm.label.trim(),
+        description: interventionForm.description.trim() || null
+      });
+      await fetchInterventions();
+      setInterventionForm(EMPTY_INTERVENTION);
+      setShowInterventionForm(false);
+      setBaseline(String(response.data.data.intervention.id));
+    } catch (err) {
+      setInterventionError(err.response?.data?.message || 'Failed to add intervention');
+    }
+  };
+
+  const handleDeleteIntervention = async (intervention) => {
+    if (!window.confirm(`Delete the intervention "${intervention.label}"?`)) {
+      return;
+    }
+
+    try {
+      setInterventionError('');
+      await interventionsAPI.delete(intervention.id);
+      if (baseline === String(intervention.id)) {
+        setBaseline(TRACKING_BASELINE);
+      }
+      await fetchInterventions();
+    } catch (err) {
+      setInterventionError(err.response?.data?.message || 'Failed to delete intervention');
+    }
+  };
+
+  const trackingComparison = useMemo(() => {
     return calculateBeforeAfter(entries, daysToCompare);
   }, [entries, daysToCompare]);
 
+  // Total minutes per logged day for the timeline
+  const timeline = useMemo(() => {
+    const totals = new Map();
+    entries.forEach(entry => {
+      totals.set(entry.date, (totals.get(entry.date) || 0) + parseFloat(entry.minutesSpent || 0));
+    });
+    return Array.from(totals, ([date, minutes]) => ({ time: toTime(date), minutes: Math.round(minutes * 100) / 100 }))
+      .sort((a, b) => a.time - b.time);
+  }, [entries]);
+
+  const selectedIntervention = interventions.find(intervention => String(intervention.id) === baseline) || null;
+  const comparison = selectedIntervention ? interventionComparison : trackingComparison;
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -50,17 +150,28 @@ export const BeforeAfterTracking = () => {
     );
   }
 
-  if (!comparison) {
-    return (
-      <div className="card">
-        <div className="text-center py-8 text-gray-600 dark:text-gray-400">
-          Not enough data to compare. You need at least {daysToCompare * 2} days of tracking data.
-        </div>
-      </div>
-    );
+  const beforeLabel = selectedIntervention ? `Before ${selectedIntervention.label}` : 'Before Tracking';
+  const afterLabel = selectedIntervention ? `After ${selectedIntervention.label}` : 'After Tracking';
+
+  // The comparison needs entries on both sides
+  let unavailableMessage = null;
+  if (selectedIntervention) {
+    if (comparisonError) {
+      unavailableMessage = comparisonError;
+    } else if (comparisonLoading || !comparison) {
+      unavailableMessage = 'Comparing...';
+    } else if (!comparison.windows.after) {
+      unavailableMessage = `The days after ${selectedIntervention.label} haven't happened yet.`;
+    } else if (!comparison.before) {
+      unavailableMessage = `No entries in the ${daysToCompare} days before ${selectedIntervention.label}.`;
+    } else if (!comparison.after) {
+      unavailableMessage = `No entries yet in the days after ${selectedIntervention.label}.`;
+    }
+  } else if (!comparison) {
+    unavailableMessage = `Not enough data to compare. You need at least ${daysToCompare * 2} days of tracking data.`;
   }
 
-  const chartData = [
+  const chartData = unavailableMessage ? [] : [
     {
       metric: 'Daily Usage',
       before: comparison.before.avgDailyMinutes,
@@ -95,157 +206,334 @@ export const BeforeAfterTracking = () => {
     return `${sign}${value}${isPercentage ? '%' : ''}`;
   };
 
+  // Shade the compared windows around the selected intervention
+  const comparedWindows = selectedIntervention && comparison?.windows
+    ? [comparison.windows.before, comparison.windows.after].filter(Boolean)
+    : [];
+
+  const timelineTimes = [
+    ...timeline.map(point => point.time),
+    ...interventions.map(intervention => toTime(intervention.date))
+  ];
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold">Before vs After Tracking</h1>
+          <h1 className="text-3xl font-bold">Before vs After</h1>
           <p className="text-gray-600 dark:text-gray-400 mt-1">
-            See the impact of tracking on your digital habits
+            {selectedIntervention
+              ? `See the impact of ${selectedIntervention.label} on your digital habits`
+              : 'See the impact of tracking on your digital habits'}
           </p>
         </div>
-        <div>
-          <label className="text-sm font-medium mr-2">Compare first</label>
-          <select
-            value={daysToCompare}
-            onChange={(e) => setDaysToCompare(Number(e.target.value))}
-            className="input-field"
-          >
-            <option value={7}>7 days</option>
-            <option value={14}>14 days</option>
-            <option value={30}>30 days</option>
-          </select>
+        <div className="flex items-center space-x-4">
+          <div>
+            <label className="text-sm font-medium mr-2">Compare around</label>
+            <select
+              value={baseline}
+              onChange={(e) => setBaseline(e.target.value)}
+              className="input-field"
+            >
+              <option value={TRACKING_BASELINE}>Start of tracking</option>
+              {interventions.map((intervention) => (
+                <option key={intervention.id} value={String(intervention.id)}>
+                  {intervention.label} ({format(parseISO(intervention.date), 'MMM dd, yyyy')})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm font-medium mr-2">Days</label>
+            <select
+              value={daysToCompare}
+              onChange={(e) => setDaysToCompare(Number(e.target.value))}
+              className="input-field"
+            >
+              <option value={7}>7 days</option>
+              <option value={14}>14 days</option>
+              <option value={30}>30 days</option>
+            </select>
+          </div>
         </div>
       </div>
 
-      {/* Comparison Chart */}
+      {/* Timeline with intervention markers */}
       <div className="card">
-        <h2 className="text-xl font-semibold mb-4">Usage Comparison</h2>
-        <ResponsiveContainer width="100%" height={300}>
-          <BarChart data={chartData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="metric" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Bar dataKey="before" fill="#94a3b8" name="Before Tracking" />
-            <Bar dataKey="after" fill="#0ea5e9" name="After Tracking" />
-          </BarChart>
-        </ResponsiveContainer>
-      </div>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">Timeline</h2>
+          <button
+            onClick={() => setShowInterventionForm(!showInterventionForm)}
+            className="btn-secondary text-sm"
+          >
+            {showInterventionForm ? 'Cancel' : 'Add Intervention'}
+          </button>
+        </div>
 
-      {/* Detailed Comparison Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Before Tracking */}
-        <div className="card">
-          <h3 className="text-lg font-semibold mb-4">Before Tracking</h3>
-          <div className="space-y-3">
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Average Daily Usage</p>
-              <p className="text-2xl font-bold">{formatMinutesToHours(comparison.before.avgDailyMinutes)}</p>
-            </div>
+        {interventionError && (
+          <div className="mb-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
+            {interventionError}
+          </div>
+        )}
+
+        {showInterventionForm && (
+          <form onSubmit={handleAddIntervention} className="mb-4 grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
             <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Late-Night Usage</p>
-              <p className="text-2xl font-bold">{Math.round(comparison.before.lateNightFrequency * 100)}%</p>
+              <label className="block text-sm font-medium mb-1">Date</label>
+              <input
+                type="date"
+                value={interventionForm.date}
+                onChange={(e) => setInterventionForm({ ...interventionForm, date: e.target.value })}
+                className="input-field"
+                required
+              />
             </div>
             <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Behavioral Risk Score</p>
-              <p className="text-2xl font-bold">{comparison.before.riskScore}</p>
+              <label className="block text-sm font-medium mb-1">What changed?</label>
+              <input
+                type="text"
+                value={interventionForm.label}
+                onChange={(e) => setInterventionForm({ ...interventionForm, label: e.target.value })}
+                className="input-field"
+                placeholder="e.g., Deleted TikTok"
+                required
+                maxLength={100}
+              />
             </div>
             <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Digital Honesty Score</p>
-              <p className="text-2xl font-bold">{comparison.before.honestyScore}%</p>
+              <label className="block text-sm font-medium mb-1">Notes (optional)</label>
+              <input
+                type="text"
+                value={interventionForm.description}
+                onChange={(e) => setInterventionForm({ ...interventionForm, description: e.target.value })}
+                className="input-field"
+                maxLength={500}
+              />
             </div>
             <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Days Active</p>
-              <p className="text-2xl font-bold">{comparison.before.daysActive}</p>
+              <button type="submit" className="btn-primary">
+                Save
+              </button>
             </div>
+          </form>
+        )}
+
+        {timeline.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+            No usage entries yet.
           </div>
-        </div>
+        ) : (
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={timeline}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={[Math.min(...timelineTimes), Math.max(...timelineTimes)]}
+                tickFormatter={(time) => format(new Date(time), 'MMM dd')}
+                stroke="#6b7280"
+              />
+              <YAxis stroke="#6b7280" />
+              <Tooltip
+                labelFormatter={(time) => format(new Date(time), 'MMM dd, yyyy')}
+                formatter={(value) => [formatMinutesToHours(value), 'Usage']}
+              />
+              {comparedWindows.map((range) => (
+                <ReferenceArea
+                  key={range.startDate}
+                  x1={toTime(range.startDate)}
+                  x2={toTime(range.endDate)}
+                  fill="#0ea5e9"
+                  fillOpacity={0.08}
+                />
+              ))}
+              {interventions.map((intervention) => (
+                <ReferenceLine
+                  key={intervention.id}
+                  x={toTime(intervention.date)}
+                  stroke={intervention === selectedIntervention ? SELECTED_MARKER_COLOR : MARKER_COLOR}
+                  strokeDasharray="4 4"
+                  label={{ value: intervention.label, position: 'insideTopRight', fontSize: 12, fill: '#6b7280' }}
+                />
+              ))}
+              <Line type="monotone" dataKey="minutes" stroke="#0ea5e9" strokeWidth={2} dot={false} name="Minutes" />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+
+        {interventions.length > 0 && (
+          <ul className="mt-4 space-y-2">
+            {interventions.map((intervention) => (
+              <li key={intervention.id} className="flex justify-between items-start text-sm">
+                <button
+                  onClick={() => setBaseline(String(intervention.id))}
+                  className="text-left hover:underline"
+                >
+                  <span className="font-medium">{format(parseISO(intervention.date), 'MMM dd, yyyy')}: {intervention.label}</span>
+                  {intervention.description && (
+                    <span className="text-gray-600 dark:text-gray-400"> - {intervention.description}</span>
+                  )}
+                </button>
+                <button
+                  onClick={() => handleDeleteIntervention(intervention)}
+                  className="ml-4 text-red-600 dark:text-red-400 hover:underline"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
 
-        {/* After Tracking */}
+      {unavailableMessage ? (
         <div className="card">
-          <h3 className="text-lg font-semibold mb-4">After Tracking</h3>
-          <div className="space-y-3">
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Average Daily Usage</p>
-              <div className="flex items-center space-x-2">
-                <p className="text-2xl font-bold">{formatMinutesToHours(comparison.after.avgDailyMinutes)}</p>
-                <span className={`text-sm font-medium ${getChangeColor(comparison.changes.dailyUsage)}`}>
-                  ({formatChange(comparison.changes.dailyUsage)})
-                </span>
-              </div>
-            </div>
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Late-Night Usage</p>
-              <div className="flex items-center space-x-2">
-                <p className="text-2xl font-bold">{Math.round(comparison.after.lateNightFrequency * 100)}%</p>
-                <span className={`text-sm font-medium ${getChangeColor(comparison.changes.lateNightUsage * 100)}`}>
-                  ({formatChange(comparison.changes.lateNightUsage * 100, true)})
-                </span>
-              </div>
-            </div>
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Behavioral Risk Score</p>
-              <div className="flex items-center space-x-2">
-                <p className="text-2xl font-bold">{comparison.after.riskScore}</p>
-                <span className={`text-sm font-medium ${getChangeColor(comparison.changes.riskScore)}`}>
-                  ({formatChange(comparison.changes.riskScore)})
-                </span>
+          <div className="text-center py-8 text-gray-600 dark:text-gray-400">
+            {unavailableMessage}
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Comparison Chart */}
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-4">Usage Comparison</h2>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="metric" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="before" fill="#94a3b8" name={beforeLabel} />
+                <Bar dataKey="after" fill="#0ea5e9" name={afterLabel} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Detailed Comparison Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Before */}
+            <div className="card">
+              <h3 className="text-lg font-semibold mb-4">{beforeLabel}</h3>
+              <div className="space-y-3">
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Average Daily Usage</p>
+                  <p className="text-2xl font-bold">{formatMinutesToHours(comparison.before.avgDailyMinutes)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Late-Night Usage</p>
+                  <p className="text-2xl font-bold">{Math.round(comparison.before.lateNightFrequency * 100)}%</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Behavioral Risk Score</p>
+                  <p className="text-2xl font-bold">{comparison.before.riskScore}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Digital Honesty Score</p>
+                  <p className="text-2xl font-bold">{comparison.before.honestyScore}%</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Days Active</p>
+                  <p className="text-2xl font-bold">{comparison.before.daysActive}</p>
+                </div>
               </div>
             </div>
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Digital Honesty Score</p>
-              <div className="flex items-center space-x-2">
-                <p className="text-2xl font-bold">{comparison.after.honestyScore}%</p>
-                <span className={`text-sm font-medium ${getChangeColor(-comparison.changes.honestyScore)}`}>
-                  ({formatChange(-comparison.changes.honestyScore)})
-                </span>
+
+            {/* After */}
+            <div className="card">
+              <h3 className="text-lg font-semibold mb-4">{afterLabel}</h3>
+              <div className="space-y-3">
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Average Daily Usage</p>
+                  <div className="flex items-center space-x-2">
+                    <p className="text-2xl font-bold">{formatMinutesToHours(comparison.after.avgDailyMinutes)}</p>
+                    <span className={`text-sm font-medium ${getChangeColor(comparison.changes.dailyUsage)}`}>
+                      ({formatChange(comparison.changes.dailyUsage)})
+                    </span>
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Late-Night Usage</p>
+                  <div className="flex items-center space-x-2">
+                    <p className="text-2xl font-bold">{Math.round(comparison.after.lateNightFrequency * 100)}%</p>
+                    <span className={`text-sm font-medium ${getChangeColor(comparison.changes.lateNightUsage * 100)}`}>
+                      ({formatChange(comparison.changes.lateNightUsage * 100, true)})
+                    </span>
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Behavioral Risk Score</p>
+                  <div className="flex items-center space-x-2">
+                    <p className="text-2xl font-bold">{comparison.after.riskScore}</p>
+                    <span className={`text-sm font-medium ${getChangeColor(comparison.changes.riskScore)}`}>
+                      ({formatChange(comparison.changes.riskScore)})
+                    </span>
+                  </div>
+                  {comparison.after.riskModelVersion && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Risk model v{comparison.after.riskModelVersion}, same as the Dashboard
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Digital Honesty Score</p>
+                  <div className="flex items-center space-x-2">
+                    <p className="text-2xl font-bold">{comparison.after.honestyScore}%</p>
+                    <span className={`text-sm font-medium ${getChangeColor(-comparison.changes.honestyScore)}`}>
+                      ({formatChange(-comparison.changes.honestyScore)})
+                    </span>
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Days Active</p>
+                  <p className="text-2xl font-bold">{comparison.after.daysActive}</p>
+                </div>
               </div>
             </div>
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Days Active</p>
-              <p className="text-2xl font-bold">{comparison.after.daysActive}</p>
-            </div>
           </div>
-        </div>
-      </div>
 
-      {/* Summary */}
-      <div className="card bg-gray-50 dark:bg-gray-800/50">
-        <h3 className="text-lg font-semibold mb-3">Summary</h3>
-        <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
-          <p>
-            Comparing your first {comparison.daysCompared} days of tracking with your most recent {comparison.daysCompared} days:
-          </p>
-          <ul className="list-disc list-inside space-y-1 ml-4">
-            {comparison.changes.dailyUsage < 0 && (
-              <li>Your daily usage decreased by {formatMinutesToHours(Math.abs(comparison.changes.dailyUsage))}</li>
-            )}
-            {comparison.changes.dailyUsage > 0 && (
-              <li>Your daily usage increased by {formatMinutesToHours(comparison.changes.dailyUsage)}</li>
-            )}
-            {comparison.changes.lateNightUsage < 0 && (
-              <li>Late-night usage decreased by {formatChange(Math.abs(comparison.changes.lateNightUsage) * 100, true)}</li>
-            )}
-            {comparison.changes.lateNightUsage > 0 && (
-              <li>Late-night usage increased by {formatChange(comparison.changes.lateNightUsage * 100, true)}</li>
-            )}
-            {comparison.changes.riskScore < 0 && (
-              <li>Your behavioral risk score improved by {Math.abs(comparison.changes.riskScore)} points</li>
-            )}
-            {comparison.changes.riskScore > 0 && (
-              <li>Your behavioral risk score increased by {comparison.changes.riskScore} points</li>
-            )}
-            {comparison.changes.honestyScore > 0 && (
-              <li>Your digital honesty score improved by {Math.round(comparison.changes.honestyScore)} points</li>
-            )}
-            {comparison.changes.honestyScore < 0 && (
-              <li>Your digital honesty score decreased by {Math.abs(Math.round(comparison.changes.honestyScore))} points</li>
-            )}
-          </ul>
-        </div>
-      </div>
+          {/* Summary */}
+          <div className="card bg-gray-50 dark:bg-gray-800/50">
+            <h3 className="text-lg font-semibold mb-3">Summary</h3>
+            <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
+              <p>
+                {selectedIntervention
+                  ? `Comparing the ${comparison.daysCompared} days before ${selectedIntervention.label} ` +
+                    `(${format(parseISO(comparison.windows.before.startDate), 'MMM dd')} - ${format(parseISO(comparison.windows.before.endDate), 'MMM dd')}) ` +
+                    `with the days after it (${format(parseISO(comparison.windows.after.startDate), 'MMM dd')} - ${format(parseISO(comparison.windows.after.endDate), 'MMM dd')}):`
+                  : `Comparing your first ${comparison.daysCompared} days of tracking with your most recent ${comparison.daysCompared} days:`}
+              </p>
+              <ul className="list-disc list-inside space-y-1 ml-4">
+                {comparison.changes.dailyUsage < 0 && (
+                  <li>Your daily usage decreased by {formatMinutesToHours(Math.abs(comparison.changes.dailyUsage))}</li>
+                )}
+                {comparison.changes.dailyUsage > 0 && (
+                  <li>Your daily usage increased by {formatMinutesToHours(comparison.changes.dailyUsage)}</li>
+                )}
+                {comparison.changes.lateNightUsage < 0 && (
+                  <li>Late-night usage decreased by {formatChange(Math.abs(comparison.changes.lateNightUsage) * 100, true)}</li>
+                )}
+                {comparison.changes.lateNightUsage > 0 && (
+                  <li>Late-night usage increased by {formatChange(comparison.changes.lateNightUsage * 100, true)}</li>
+                )}
+                {comparison.changes.riskScore < 0 && (
+                  <li>Your behavioral risk score improved by {Math.abs(comparison.changes.riskScore)} points</li>
+                )}
+                {comparison.changes.riskScore > 0 && (
+                  <li>Your behavioral risk score increased by {comparison.changes.riskScore} points</li>
+                )}
+                {comparison.changes.honestyScore > 0 && (
+                  <li>Your digital honesty score improved by {Math.round(comparison.changes.honestyScore)} points</li>
+                )}
+                {comparison.changes.honestyScore < 0 && (
+                  <li>Your digital honesty score decreased by {Math.abs(Math.round(comparison.changes.honestyScore))} points</li>
+                )}
+              </ul>
+            </div>
+          </div>
+        </>
+      )}
     </div>
   );
 };
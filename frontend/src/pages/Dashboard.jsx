@@ -1,24 +1,49 @@
 import { useState, useEffect } from 'react';
-import { analyticsAPI, usageAPI } from '../services/api';
+import { Link, useNavigate } from 'react-router-dom';
+import { analyticsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import { UsageEntry } from '../components/UsageEntry';
 import { UsageHistory } from '../components/UsageHistory';
+import { UsageImport } from '../components/UsageImport';
 import { DigitalHonestyScore } from '../components/DigitalHonestyScore';
+import { AppLimits } from '../components/AppLimits';
+import { RiskScoreReductions } from '../components/RiskScoreReductions';
+import { RiskScoreHistory } from '../components/RiskScoreHistory';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, BarChart, Bar } from 'recharts';
 import { format } from 'date-fns';
 import { formatMinutesToHours } from '../utils/timeFormatter';
 
 const COLORS = ['#0ea5e9', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981'];
 
+const UNTRACKED_COLOR = '#9ca3af';
+
+// Days with no entries get a hollow grey dot on the zero line instead of a usage point
+const renderDailyDot = ({ cx, cy, payload, key }) => {
+  if (cx == null || cy == null) return null;
+  return payload.logged
+    ? <circle key={key} cx={cx} cy={cy} r={4} fill="#0ea5e9" />
+    : <circle key={key} cx={cx} cy={cy} r={4} fill="#ffffff" stroke={UNTRACKED_COLOR} strokeWidth={2} />;
+};
+
+const CATEGORY_LABELS = {
+  social: 'Social',
+  'short-video': 'Short Video',
+  video: 'Video',
+  messaging: 'Messaging',
+  professional: 'Professional',
+  other: 'Other'
+};
+
 export const Dashboard = () => {
+  const { user, updateProfile } = useAuth();
+  const navigate = useNavigate();
   const [dashboardData, setDashboardData] = useState(null);
-  const [usageEntries, setUsageEntries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [refreshKey, setRefreshKey] = useState(0);
 
   useEffect(() => {
     fetchDashboardData();
-    fetchUsageEntries();
   }, [refreshKey]);
 
   const fetchDashboardData = async () => {
@@ -34,20 +59,19 @@ export const Dashboard = () => {
     }
   };
 
-  const fetchUsageEntries = async () => {
+  const handleRefresh = () => {
+    setRefreshKey(prev => prev + 1);
+  };
+
+  const handleWeekStartChange = async (weekStart) => {
     try {
-      const response = await usageAPI.getAll({ limit: 1000 });
-      setUsageEntries(response.data.data.logs || []);
+      await updateProfile({ weekStart });
+      setRefreshKey(prev => prev + 1);
     } catch (err) {
-      console.error('Failed to load usage entries:', err);
+      setError(err.response?.data?.message || 'Failed to save week start');
     }
   };
 
-  const handleRefresh = () => {
-    setRefreshKey(prev => prev + 1);
-    fetchUsageEntries();
-  };
-
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -71,7 +95,14 @@ export const Dashboard = () => {
     return null;
   }
 
-  const { daily, weekly, monthly, riskScore, topApps, recommendations, charts } = dashboardData;
+  const { daily, weekly, monthly, riskScore, topApps, categories, recommendations, limits, charts } = dashboardData;
+
+  // Split tracked and untracked days so the chart can draw them differently
+  const dailySeries = charts.daily.map(day => ({
+    ...day,
+    trackedMinutes: day.logged ? day.minutes : null,
+    untrackedMinutes: day.logged ? null : 0
+  }));
 
   // Format risk badge color
   const getRiskColor = (level) => {
@@ -83,6 +114,12 @@ export const Dashboard = () => {
     }
   };
 
+  const formatFactorValue = (factor) => {
+    if (factor.unit === 'minutes') return formatMinutesToHours(factor.value);
+    if (factor.unit === 'days') return `${factor.value} of 7 days`;
+    return factor.band?.label || factor.value;
+  };
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -122,16 +159,37 @@ export const Dashboard = () => {
             </div>
           </div>
         </div>
+        {riskScore.factors && riskScore.factors.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            {riskScore.factors.map((factor) => (
+              <div key={factor.key} className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+                <p className="text-xs text-gray-600 dark:text-gray-400">{factor.label}</p>
+                <p className="text-lg font-semibold">
+                  {factor.points} <span className="text-sm font-normal text-gray-500 dark:text-gray-400">/ {factor.maxPoints}</span>
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{formatFactorValue(factor)}</p>
+                {factor.band && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400">Band: {factor.band.label}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        <RiskScoreReductions refreshKey={refreshKey} />
         <p className="text-sm text-gray-600 dark:text-gray-400 italic">
           {riskScore.message}
         </p>
         <p className="text-xs text-gray-500 dark:text-gray-500 mt-2">
           * This is a behavioral indicator, not a medical diagnosis
+          {riskScore.modelVersion && ` (risk model v${riskScore.modelVersion})`}
         </p>
       </div>
 
+      {/* Risk Score History */}
+      <RiskScoreHistory refreshKey={refreshKey} />
+
       {/* Digital Honesty Score */}
-      <DigitalHonestyScore entries={usageEntries} />
+      <DigitalHonestyScore refreshKey={refreshKey} />
 
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -169,13 +227,16 @@ export const Dashboard = () => {
         </div>
       </div>
 
+      {/* App Limits */}
+      <AppLimits budgets={limits || []} onChange={handleRefresh} />
+
       {/* Charts Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Daily Usage Chart */}
         <div className="card">
           <h3 className="text-lg font-semibold mb-4">Daily Usage (Last 7 Days)</h3>
           <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={charts.daily}>
+            <LineChart data={dailySeries}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
               <XAxis
                 dataKey="date"
@@ -185,21 +246,37 @@ export const Dashboard = () => {
               <YAxis stroke="#6b7280" />
               <Tooltip
                 labelFormatter={(date) => format(new Date(date), 'MMM dd, yyyy')}
-                formatter={(value) => [formatMinutesToHours(value), 'Usage']}
+                formatter={(value, name, item) => [
+                  item.payload.logged ? formatMinutesToHours(value) : 'Not tracked',
+                  'Usage'
+                ]}
                 contentStyle={{
                   backgroundColor: 'rgba(255, 255, 255, 0.95)',
                   border: '1px solid #e5e7eb',
                   borderRadius: '8px'
                 }}
               />
-              <Legend />
+              <Legend
+                payload={[
+                  { value: 'Minutes', type: 'line', color: '#0ea5e9' },
+                  { value: 'Not tracked', type: 'circle', color: UNTRACKED_COLOR }
+                ]}
+              />
+              {/* The line breaks over untracked days rather than dropping to zero */}
               <Line
                 type="monotone"
-                dataKey="minutes"
+                dataKey="trackedMinutes"
                 stroke="#0ea5e9"
                 strokeWidth={2}
                 name="Minutes"
-                dot={{ fill: '#0ea5e9', r: 4 }}
+                dot={renderDailyDot}
+              />
+              <Line
+                dataKey="untrackedMinutes"
+                stroke="none"
+                name="Not tracked"
+                dot={renderDailyDot}
+                activeDot={false}
               />
             </LineChart>
           </ResponsiveContainer>
@@ -209,26 +286,41 @@ export const Dashboard = () => {
         <div className="card">
           <h3 className="text-lg font-semibold mb-4">Top Apps This Week</h3>
           {topApps && topApps.length > 0 ? (
-            <ResponsiveContainer width="100%" height={300}>
-              <PieChart>
-                <Pie
-                  data={topApps}
-                  dataKey="minutes"
-                  nameKey="name"
-                  cx="50%"
-                  cy="50%"
-                  outerRadius={100}
-                  label={({ name, minutes }) => `${name}: ${formatMinutesToHours(minutes)}`}
-                >
-                  {topApps.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                  ))}
-                </Pie>
-                <Tooltip
-                  formatter={(value) => [formatMinutesToHours(value), 'Usage']}
-                />
-              </PieChart>
-            </ResponsiveContainer>
+            <>
+              <ResponsiveContainer width="100%" height={300}>
+                <PieChart>
+                  <Pie
+                    data={topApps}
+                    dataKey="minutes"
+                    nameKey="name"
+                    cx="50%"
+                    cy="50%"
+                    outerRadius={100}
+                    label={({ name, minutes }) => `${name}: ${formatMinutesToHours(minutes)}`}
+                    onClick={(entry) => navigate(`/apps/${encodeURIComponent(entry.name)}`)}
+                    className="cursor-pointer"
+                  >
+                    {topApps.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    formatter={(value) => [formatMinutesToHours(value), 'Usage']}
+                  />
+                </PieChart>
+              </ResponsiveContainer>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {topApps.map((app) => (
+                  <Link
+                    key={app.name}
+                    to={`/apps/${encodeURIComponent(app.name)}`}
+                    className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                  >
+                    {app.name} details
+                  </Link>
+                ))}
+              </div>
+            </>
           ) : (
             <div className="flex items-center justify-center h-[300px] text-gray-500 dark:text-gray-400">
               No data available
@@ -237,6 +329,80 @@ export const Dashboard = () => {
         </div>
       </div>
 
+      {/* Weekly Usage Chart */}
+      <div className="card">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Weekly Usage (Last 30 Days)</h3>
+          <label className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+            Weeks start on
+            <select
+              value={user?.weekStart || 'monday'}
+              onChange={(e) => handleWeekStartChange(e.target.value)}
+              className="input-field text-sm ml-2 w-auto"
+            >
+              <option value="monday">Monday</option>
+              <option value="sunday">Sunday</option>
+            </select>
+          </label>
+        </div>
+        <ResponsiveContainer width="100%" height={250}>
+          <BarChart data={charts.weekly}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+              dataKey="date"
+              tickFormatter={(date) => format(new Date(date), 'MMM dd')}
+              stroke="#6b7280"
+            />
+            <YAxis stroke="#6b7280" />
+            <Tooltip
+              labelFormatter={(date, payload) => {
+                const week = payload?.[0]?.payload;
+                return week
+                  ? `${format(new Date(week.startDate), 'MMM dd')} - ${format(new Date(week.endDate), 'MMM dd')} (${week.isoWeek})`
+                  : date;
+              }}
+              formatter={(value, name, item) => [
+                item.payload.logged
+                  ? `${formatMinutesToHours(value)} (${item.payload.loggedDays} of 7 days logged)`
+                  : 'Not tracked',
+                'Usage'
+              ]}
+            />
+            <Bar dataKey="minutes" name="Minutes" minPointSize={(value, index) => (charts.weekly[index]?.logged ? 0 : 4)}>
+              {charts.weekly.map((week) => (
+                <Cell key={week.date} fill={week.logged ? '#8b5cf6' : UNTRACKED_COLOR} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Category Breakdown */}
+      {categories && categories.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold mb-4">Usage by Category This Week</h3>
+          <div className="space-y-4">
+            {categories.map((category, index) => (
+              <div key={category.category}>
+                <div className="flex justify-between items-center mb-1 text-sm">
+                  <span className="font-medium">{CATEGORY_LABELS[category.category] || category.category}</span>
+                  <span className="text-gray-600 dark:text-gray-400">
+                    {formatMinutesToHours(category.minutes)} ({category.percentage}%)
+                  </span>
+                </div>
+                <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                  <div
+                    className="h-full transition-all duration-300"
+                    style={{ width: `${category.percentage}%`, backgroundColor: COLORS[index % COLORS.length] }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{category.apps.join(', ')}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Recommendations */}
       {recommendations && recommendations.length > 0 && (
         <div className="card">
@@ -267,6 +433,9 @@ export const Dashboard = () => {
       {/* Usage Entry */}
       <UsageEntry onSuccess={handleRefresh} />
 
+      {/* Usage Import */}
+      <UsageImport onSuccess={handleRefresh} />
+
       {/* Usage History */}
       <UsageHistory onUpdate={handleRefresh} />
     </div>
@@ -1,33 +1,42 @@
-import { useState, useEffect, useMemo } from 'react';
-import { usageAPI } from '../services/api';
-import { analyzeMirrorPatterns } from '../utils/mirrorLogic';
+import { useState, useEffect } from 'react';
+import { analyticsAPI } from '../services/api';
+import { format, subDays } from 'date-fns';
+
+const RANGE_OPTIONS = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 0, label: 'All time' }
+];
 
 export const DigitalMirrorMode = () => {
-  const [entries, setEntries] = useState([]);
+  const [insights, setInsights] = useState([]);
+  const [entriesWithIntention, setEntriesWithIntention] = useState(0);
+  const [rangeDays, setRangeDays] = useState(30);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    fetchEntries();
-  }, []);
+    fetchInsights();
+  }, [rangeDays]);
 
-  const fetchEntries = async () => {
+  const fetchInsights = async () => {
     try {
       setLoading(true);
-      const response = await usageAPI.getAll({ limit: 1000 });
-      setEntries(response.data.data.logs || []);
+      const params = rangeDays > 0
+        ? { startDate: format(subDays(new Date(), rangeDays), 'yyyy-MM-dd') }
+        : {};
+      const response = await analyticsAPI.getMirror(params);
+      setInsights(response.data.data.insights || []);
+      setEntriesWithIntention(response.data.data.entriesWithIntention || 0);
       setError('');
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to load usage entries');
+      setError(err.response?.data?.message || 'Failed to load mirror insights');
     } finally {
       setLoading(false);
     }
   };
 
-  const insights = useMemo(() => {
-    return analyzeMirrorPatterns(entries);
-  }, [entries]);
-
   if (loading) {
     return (
       <div className="card">
@@ -42,25 +51,38 @@ export const DigitalMirrorMode = () => {
     return (
       <div className="card">
         <div className="text-red-600 dark:text-red-400">{error}</div>
-        <button onClick={fetchEntries} className="btn-primary mt-4">
+        <button onClick={fetchInsights} className="btn-primary mt-4">
           Retry
         </button>
       </div>
     );
   }
 
-  const entriesWithIntention = entries.filter(e => e.intention && e.foundIt !== null);
-
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-3xl font-bold">Digital Mirror Mode</h1>
-        <p className="text-gray-600 dark:text-gray-400 mt-1">
-          Compare your intention vs actual usage behavior
-        </p>
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold">Digital Mirror Mode</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Compare your intention vs actual usage behavior
+          </p>
+        </div>
+        <div>
+          <select
+            value={rangeDays}
+            onChange={(e) => setRangeDays(Number(e.target.value))}
+            className="input-field"
+          >
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
       </div>
 
-      {entriesWithIntention.length === 0 ? (
+      {entriesWithIntention === 0 ? (
         <div className="card">
           <div className="text-center py-8">
             <p className="text-gray-600 dark:text-gray-400 mb-4">
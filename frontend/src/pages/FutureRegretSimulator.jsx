@@ -1,13 +1,12 @@
-import { useState, useEffect, useMemo } from 'react';
-import { usageAPI, analyticsAPI } from '../services/api';
-import { analyzeRegretPatterns, generateFutureLetter, generateRegretList } from '../utils/regretAnalysis';
-import { calculateDigitalHonestyScore } from '../utils/digitalHonestyScore';
+import { useState, useEffect } from 'react';
+import { analyticsAPI } from '../services/api';
 import { formatMinutesToHours } from '../utils/timeFormatter';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { format } from 'date-fns';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
 
 export const FutureRegretSimulator = () => {
-  const [entries, setEntries] = useState([]);
-  const [dashboardData, setDashboardData] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -18,12 +17,9 @@ export const FutureRegretSimulator = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [usageResponse, analyticsResponse] = await Promise.all([
-        usageAPI.getAll({ limit: 1000 }),
-        analyticsAPI.getDashboard()
-      ]);
-      setEntries(usageResponse.data.data.logs || []);
-      setDashboardData(analyticsResponse.data.data);
+      const response = await analyticsAPI.getRegret();
+      setAnalysis(response.data.data.analysis);
+      setHistory(response.data.data.history || []);
       setError('');
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to load data');
@@ -32,69 +28,6 @@ export const FutureRegretSimulator = () => {
     }
   };
 
-  const analysis = useMemo(() => {
-    if (!entries.length || !dashboardData) return null;
-
-    // Calculate metrics
-    const entriesWithIntention = entries.filter(e => e.intention && e.foundIt !== null);
-    const intentDriftFrequency = entriesWithIntention.length > 0
-      ? entriesWithIntention.filter(e => e.foundIt === false).length / entriesWithIntention.length
-      : 0;
-
-    // Calculate late-night frequency
-    // Use createdAt timestamp if available
-    const lateNightCount = entries.filter(entry => {
-      if (entry.createdAt) {
-        const date = new Date(entry.createdAt);
-        const hour = date.getHours();
-        return hour >= 22 || hour < 6;
-      }
-      return false;
-    }).length;
-    const lateNightFrequency = entries.length > 0 ? lateNightCount / entries.length : 0;
-
-    const dailyAvg = dashboardData.weekly?.averageDailyMinutes || 0;
-    const riskScoreTrend = dashboardData.weekly?.trend === 'increasing' ? 'increasing' : 
-                          dashboardData.riskScore?.score > 60 ? 'stable_high' : 'stable';
-    const honestyScore = calculateDigitalHonestyScore(entries);
-
-    const regretData = analyzeRegretPatterns({
-      entries,
-      dailyAvg,
-      lateNightFrequency,
-      intentDriftFrequency,
-      riskScoreTrend,
-      honestyScore
-    });
-
-    const letter = generateFutureLetter(regretData, {
-      dailyAvg,
-      totalDays: entries.length > 0 ? new Set(entries.map(e => e.date)).size : 0,
-      lateNightFrequency,
-      intentDriftFrequency,
-      repeatedOpens: 0 // Could calculate this if needed
-    });
-
-    const regretList = generateRegretList(regretData, {
-      dailyAvg,
-      lateNightFrequency,
-      intentDriftFrequency,
-      repeatedOpens: 0
-    });
-
-    return {
-      ...regretData,
-      letter,
-      regretList,
-      stats: {
-        dailyAvg,
-        lateNightFrequency,
-        intentDriftFrequency,
-        honestyScore
-      }
-    };
-  }, [entries, dashboardData]);
-
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -188,6 +121,38 @@ export const FutureRegretSimulator = () => {
         )}
       </div>
 
+      {/* Regret Trend */}
+      {history.length > 1 && (
+        <div className="card">
+          <h2 className="text-xl font-semibold mb-4">Regret Probability Over Time</h2>
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={history}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="snapshotDate"
+                tickFormatter={(date) => format(new Date(date), 'MMM dd')}
+                stroke="#6b7280"
+              />
+              <YAxis domain={[0, 100]} stroke="#6b7280" />
+              <Tooltip
+                labelFormatter={(date) => format(new Date(date), 'MMM dd, yyyy')}
+                formatter={(value) => [`${value}%`, 'Regret Probability']}
+              />
+              <Line
+                type="monotone"
+                dataKey="regretScore"
+                stroke="#f97316"
+                strokeWidth={2}
+                dot={{ fill: '#f97316', r: 3 }}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            A snapshot is saved each day you visit this page, based on your last 30 days of usage.
+          </p>
+        </div>
+      )}
+
       {/* Letter from 30-Year-Old Self */}
       <div className="card bg-gray-50 dark:bg-gray-800/50">
         <h2 className="text-xl font-semibold mb-4">Letter from Your Future Self</h2>
@@ -0,0 +1,369 @@
+import { useState, useEffect } from 'react';
+import { goalsAPI } from '../services/api';
+import { format } from 'date-fns';
+import { formatMinutesToHours } from '../utils/timeFormatter';
+
+const GOAL_TYPES = [
+  { value: 'total_daily', label: 'Total daily usage under a limit' },
+  { value: 'per_app', label: 'One app under a daily limit' },
+  { value: 'days_off', label: 'Days off (no usage)' }
+];
+
+const EMPTY_FORM = {
+  title: '',
+  type: 'total_daily',
+  appName: '',
+  targetMinutes: '',
+  targetDays: '14',
+  startDate: format(new Date(), 'yyyy-MM-dd')
+};
+
+export const Goals = () => {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [expandedGoal, setExpandedGoal] = useState(null);
+
+  useEffect(() => {
+    fetchGoals();
+  }, []);
+
+  const fetchGoals = async () => {
+    try {
+      setLoading(true);
+      const response = await goalsAPI.getAll();
+      setGoals(response.data.data.goals || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load goals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await goalsAPI.create({
+        title: formData.title.trim(),
+        type: formData.type,
+        appName: formData.type !== 'total_daily' ? formData.appName.trim() || null : null,
+        targetMinutes: formData.type === 'days_off' ? null : parseInt(formData.targetMinutes, 10),
+        targetDays: parseInt(formData.targetDays, 10),
+        startDate: formData.startDate
+      });
+      setFormData(EMPTY_FORM);
+      await fetchGoals();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (goal) => {
+    try {
+      setError('');
+      await goalsAPI.update(goal.id, {
+        title: goal.title,
+        type: goal.type,
+        appName: goal.appName,
+        targetMinutes: goal.targetMinutes,
+        targetDays: goal.targetDays,
+        isActive: !goal.isActive
+      });
+      await fetchGoals();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update goal');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this goal?')) {
+      return;
+    }
+
+    try {
+      setError('');
+      await goalsAPI.delete(id);
+      if (expandedGoal?.id === id) setExpandedGoal(null);
+      await fetchGoals();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete goal');
+    }
+  };
+
+  const handleShowDays = async (id) => {
+    if (expandedGoal?.id === id) {
+      setExpandedGoal(null);
+      return;
+    }
+
+    try {
+      const response = await goalsAPI.getById(id);
+      setExpandedGoal(response.data.data.goal);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load goal progress');
+    }
+  };
+
+  const describeGoal = (goal) => {
+    if (goal.type === 'days_off') {
+      return `No ${goal.appName || 'social media'} usage for ${goal.targetDays} days in a row`;
+    }
+    const target = formatMinutesToHours(goal.targetMinutes);
+    return goal.type === 'per_app'
+      ? `${goal.appName} under ${target} a day for ${goal.targetDays} days`
+      : `Under ${target} a day for ${goal.targetDays} days`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Goals & Streaks</h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Set a target and build a streak, one day at a time
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 dark:bg-red-900/30 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-400 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {goals.length === 0 ? (
+        <div className="card">
+          <div className="text-center py-8 text-gray-600 dark:text-gray-400">
+            No goals yet. Create your first goal below.
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {goals.map((goal) => (
+            <div key={goal.id} className={`card ${goal.isActive ? '' : 'opacity-60'}`}>
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <h3 className="text-lg font-semibold">{goal.title}</h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">{describeGoal(goal)}</p>
+                </div>
+                {goal.progress.completed && (
+                  <span className="px-3 py-1 text-xs rounded-full bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 border border-green-300 dark:border-green-700">
+                    Completed
+                  </span>
+                )}
+              </div>
+
+              <div className="grid grid-cols-3 gap-4 mb-3 text-sm">
+                <div>
+                  <p className="text-gray-600 dark:text-gray-400">Current Streak</p>
+                  <p className="text-2xl font-bold">{goal.progress.currentStreak} {goal.progress.currentStreak === 1 ? 'day' : 'days'}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600 dark:text-gray-400">Longest Streak</p>
+                  <p className="text-2xl font-bold">{goal.progress.longestStreak} {goal.progress.longestStreak === 1 ? 'day' : 'days'}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600 dark:text-gray-400">Days Met</p>
+                  <p className="text-2xl font-bold">{goal.progress.daysMet}/{goal.progress.daysEvaluated}</p>
+                </div>
+              </div>
+
+              {goal.progress.unknownDays.length > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  {goal.progress.unknownDays.length} {goal.progress.unknownDays.length === 1 ? 'day has' : 'days have'} nothing logged
+                  and {goal.progress.unknownDays.length === 1 ? "isn't" : "aren't"} counted
+                </p>
+              )}
+
+              <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden mb-3">
+                <div
+                  className="h-full bg-primary-600 transition-all duration-300"
+                  style={{ width: `${goal.progress.completion}%` }}
+                />
+              </div>
+
+              <div className="flex space-x-4 text-sm">
+                <button
+                  onClick={() => handleShowDays(goal.id)}
+                  className="text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  {expandedGoal?.id === goal.id ? 'Hide days' : 'Show days'}
+                </button>
+                <button
+                  onClick={() => handleToggleActive(goal)}
+                  className="text-gray-600 dark:text-gray-400 hover:underline"
+                >
+                  {goal.isActive ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={() => handleDelete(goal.id)}
+                  className="text-red-600 dark:text-red-400 hover:underline"
+                >
+                  Delete
+                </button>
+              </div>
+
+              {expandedGoal?.id === goal.id && (
+                <div className="flex flex-wrap gap-1 mt-4">
+                  {expandedGoal.progress.days.map((day) => (
+                    <div
+                      key={day.date}
+                      title={`${format(new Date(day.date), 'MMM dd')}: ${day.met === null ? 'nothing logged' : formatMinutesToHours(day.minutes)}`}
+                      className={`w-6 h-6 rounded ${day.met === null ? 'bg-gray-300 dark:bg-gray-600' : day.met ? 'bg-green-500' : 'bg-red-400'}`}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">New Goal</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="title" className="block text-sm font-medium mb-2">
+                Title
+              </label>
+              <input
+                type="text"
+                id="title"
+                name="title"
+                value={formData.title}
+                onChange={handleChange}
+                className="input-field"
+                placeholder="e.g., Under 2 hours a day"
+                required
+                maxLength={100}
+              />
+            </div>
+            <div>
+              <label htmlFor="type" className="block text-sm font-medium mb-2">
+                Goal Type
+              </label>
+              <select
+                id="type"
+                name="type"
+                value={formData.type}
+                onChange={handleChange}
+                className="input-field"
+              >
+                {GOAL_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            {formData.type !== 'total_daily' && (
+              <div>
+                <label htmlFor="goalAppName" className="block text-sm font-medium mb-2">
+                  App {formData.type === 'days_off' && '(Optional)'}
+                </label>
+                <input
+                  type="text"
+                  id="goalAppName"
+                  name="appName"
+                  value={formData.appName}
+                  onChange={handleChange}
+                  className="input-field"
+                  placeholder="e.g., TikTok"
+                  required={formData.type === 'per_app'}
+                  maxLength={100}
+                />
+                {formData.type === 'days_off' && (
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    Log 0 minutes on a day off so it counts
+                  </p>
+                )}
+              </div>
+            )}
+            {formData.type !== 'days_off' && (
+              <div>
+                <label htmlFor="targetMinutes" className="block text-sm font-medium mb-2">
+                  Max Minutes per Day
+                </label>
+                <input
+                  type="number"
+                  id="targetMinutes"
+                  name="targetMinutes"
+                  value={formData.targetMinutes}
+                  onChange={handleChange}
+                  className="input-field"
+                  placeholder="120"
+                  required
+                  min="0"
+                  max="1440"
+                  step="1"
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="targetDays" className="block text-sm font-medium mb-2">
+                Days in a Row
+              </label>
+              <input
+                type="number"
+                id="targetDays"
+                name="targetDays"
+                value={formData.targetDays}
+                onChange={handleChange}
+                className="input-field"
+                required
+                min="1"
+                max="365"
+                step="1"
+              />
+            </div>
+            <div>
+              <label htmlFor="startDate" className="block text-sm font-medium mb-2">
+                Start Date
+              </label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleChange}
+                className="input-field"
+                required
+              />
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Days with no logged usage count as zero minutes.
+          </p>
+
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Creating...' : 'Create Goal'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -70,6 +70,7 @@ export const authAPI = {
   login: (data) => api.post('/auth/login', data),
   logout: () => api.post('/auth/logout'),
   getMe: () => api.get('/auth/me'),
+  updateMe: (data) => api.put('/auth/me', data),
   refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken })
 };
 
@@ -77,16 +78,77 @@ export const authAPI = {
 export const usageAPI = {
   create: (data) => api.post('/usage', data),
   getAll: (params) => api.get('/usage', { params }),
+  // Follows nextCursor until every log matching params is loaded
+  getAllPages: async (params = {}) => {
+    const logs = [];
+    let cursor;
+    do {
+      const response = await api.get('/usage', { params: { ...params, limit: 200, cursor } });
+      logs.push(...response.data.data.logs);
+      cursor = response.data.data.nextCursor;
+    } while (cursor);
+    return logs;
+  },
   getById: (id) => api.get(`/usage/${id}`),
   update: (id, data) => api.put(`/usage/${id}`, data),
-  delete: (id) => api.delete(`/usage/${id}`)
+  delete: (id) => api.delete(`/usage/${id}`),
+  export: (params) => api.get('/usage/export', { params, responseType: 'blob' }),
+  import: (data) => api.post('/usage/import', data),
+  batch: (operations, acknowledged) => api.post('/usage/batch', { operations, acknowledged }),
+  getAppNames: () => api.get('/usage/app-names'),
+  mergeApps: (data) => api.post('/usage/merge-apps', data)
+};
+
+// Usage Session API
+export const usageSessionAPI = {
+  create: (data) => api.post('/usage/sessions', data),
+  getAll: (params) => api.get('/usage/sessions', { params }),
+  getById: (id) => api.get(`/usage/sessions/${id}`),
+  update: (id, data) => api.put(`/usage/sessions/${id}`, data),
+  delete: (id) => api.delete(`/usage/sessions/${id}`)
 };
 
 // Analytics API
 export const analyticsAPI = {
   getDashboard: () => api.get('/analytics/dashboard'),
   getStats: (params) => api.get('/analytics/stats', { params }),
-  getRiskScore: () => api.get('/analytics/risk-score')
+  getRiskScore: () => api.get('/analytics/risk-score'),
+  getRiskScoreHistory: (params) => api.get('/analytics/risk-score/history', { params }),
+  getAppAnalytics: (appName) => api.get(`/analytics/apps/${encodeURIComponent(appName)}`),
+  getHonesty: () => api.get('/analytics/honesty'),
+  getMirror: (params) => api.get('/analytics/mirror', { params }),
+  getRegret: () => api.get('/analytics/regret')
+};
+
+// App Limits API
+export const limitsAPI = {
+  create: (data) => api.post('/limits', data),
+  getAll: () => api.get('/limits'),
+  update: (id, data) => api.put(`/limits/${id}`, data),
+  delete: (id) => api.delete(`/limits/${id}`)
+};
+
+// Goals API
+export const goalsAPI = {
+  create: (data) => api.post('/goals', data),
+  getAll: (params) => api.get('/goals', { params }),
+  getById: (id) => api.get(`/goals/${id}`),
+  update: (id, data) => api.put(`/goals/${id}`, data),
+  delete: (id) => api.delete(`/goals/${id}`)
+};
+
+// Interventions API
+export const interventionsAPI = {
+  create: (data) => api.post('/interventions', data),
+  getAll: () => api.get('/interventions'),
+  update: (id, data) => api.put(`/interventions/${id}`, data),
+  delete: (id) => api.delete(`/interventions/${id}`),
+  getComparison: (id, params) => api.get(`/interventions/${id}/comparison`, { params })
+};
+
+// App Catalog API
+export const appsAPI = {
+  getAll: (params) => api.get('/apps', { params })
 };
 
 export default api;
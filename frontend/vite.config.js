@@ -1,10 +1,22 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'url';
+
+// Modules shared with the backend (e.g. the risk model) live in ../shared
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url));
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir
+    }
+  },
   server: {
     port: 5173,
+    fs: {
+      allow: ['.', sharedDir]
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
@@ -0,0 +1,185 @@
+/**
+ * Before vs After Analysis
+ * Shared by the backend (intervention comparisons) and the frontend (Before/After tracking)
+ *
+ * Compares the first N days of tracking with the most recent N days, or the
+ * N days on either side of an intervention (e.g. deleting an app on a given date).
+ */
+
+import { calculateRiskScore } from './riskModel.js';
+import { calculateDigitalHonestyScore } from './honestyScore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => String(date).slice(0, 10);
+
+const addDays = (dateKey, days) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Change in each metric from one period to the next
+ * @param {Object} beforeMetrics - Metrics from calculateMetrics
+ * @param {Object} afterMetrics - Metrics from calculateMetrics
+ * @returns {Object} Changes (after minus before)
+ */
+const compareMetrics = (beforeMetrics, afterMetrics) => ({
+  dailyUsage: afterMetrics.avgDailyMinutes - beforeMetrics.avgDailyMinutes,
+  lateNightUsage: afterMetrics.lateNightFrequency - beforeMetrics.lateNightFrequency,
+  riskScore: afterMetrics.riskScore - beforeMetrics.riskScore,
+  honestyScore: afterMetrics.honestyScore - beforeMetrics.honestyScore
+});
+
+/**
+ * Calculate before vs after comparison
+ * @param {Array} entries - All usage entries sorted by date
+ * @param {number} daysToCompare - Number of days to compare (default: 7)
+ * @returns {Object} Comparison data
+ */
+export const calculateBeforeAfter = (entries, daysToCompare = 7) => {
+  if (!entries || entries.length === 0) {
+    return null;
+  }
+
+  // Sort entries by date
+  const sortedEntries = [...entries].sort((a, b) => {
+    return new Date(a.date) - new Date(b.date);
+  });
+
+  // Get first N days
+  const firstDate = new Date(sortedEntries[0].date);
+  const firstNDays = sortedEntries.filter(entry => {
+    const entryDate = new Date(entry.date);
+    const daysDiff = Math.floor((entryDate - firstDate) / (1000 * 60 * 60 * 24));
+    return daysDiff < daysToCompare;
+  });
+
+  // Get last N days
+  const lastDate = new Date(sortedEntries[sortedEntries.length - 1].date);
+  const lastNDays = sortedEntries.filter(entry => {
+    const entryDate = new Date(entry.date);
+    const daysDiff = Math.floor((lastDate - entryDate) / (1000 * 60 * 60 * 24));
+    return daysDiff < daysToCompare;
+  });
+
+  if (firstNDays.length === 0 || lastNDays.length === 0) {
+    return null;
+  }
+
+  // Calculate metrics for "before" period
+  const beforeMetrics = calculateMetrics(firstNDays);
+
+  // Calculate metrics for "after" period
+  const afterMetrics = calculateMetrics(lastNDays);
+
+  return {
+    before: beforeMetrics,
+    after: afterMetrics,
+    changes: compareMetrics(beforeMetrics, afterMetrics),
+    daysCompared: daysToCompare
+  };
+};
+
+/**
+ * The days compared around an intervention
+ * The intervention day itself is in neither window, since it mixes both.
+ * The after window stops at today, so it is shorter while the days are still to come.
+ * @param {String} date - Intervention date (YYYY-MM-DD)
+ * @param {number} daysToCompare - Days in each window
+ * @param {String} today - Today in the user's timezone (YYYY-MM-DD)
+ * @returns {Object} { before, after } as { startDate, endDate }; after is null if it hasn't started
+ */
+export const getInterventionWindows = (date, daysToCompare, today) => {
+  const dateKey = toDateKey(date);
+  const afterEnd = addDays(dateKey, daysToCompare);
+
+  return {
+    before: { startDate: addDays(dateKey, -daysToCompare), endDate: addDays(dateKey, -1) },
+    after: today > dateKey
+      ? { startDate: addDays(dateKey, 1), endDate: afterEnd < today ? afterEnd : today }
+      : null
+  };
+};
+
+/**
+ * Compare the days before an intervention with the days after it
+ * @param {Array} entries - Usage entries covering both windows
+ * @param {String} date - Intervention date (YYYY-MM-DD)
+ * @param {number} daysToCompare - Days in each window (default: 7)
+ * @param {String} today - Today in the user's timezone (YYYY-MM-DD)
+ * @returns {Object} Comparison data; a window without entries has null metrics and changes are null
+ */
+export const calculateInterventionComparison = (entries, date, daysToCompare = 7, today) => {
+  const windows = getInterventionWindows(date, daysToCompare, today);
+  const inWindow = (range) => (entry) => range !== null &&
+    toDateKey(entry.date) >= range.startDate && toDateKey(entry.date) <= range.endDate;
+
+  const beforeEntries = entries.filter(inWindow(windows.before));
+  const afterEntries = entries.filter(inWindow(windows.after));
+
+  const beforeMetrics = beforeEntries.length > 0 ? calculateMetrics(beforeEntries) : null;
+  const afterMetrics = afterEntries.length > 0 ? calculateMetrics(afterEntries) : null;
+
+  return {
+    windows,
+    before: beforeMetrics,
+    after: afterMetrics,
+    changes: beforeMetrics && afterMetrics ? compareMetrics(beforeMetrics, afterMetrics) : null,
+    daysCompared: daysToCompare
+  };
+};
+
+/**
+ * Calculate metrics for a set of entries
+ */
+const calculateMetrics = (entries) => {
+  if (!entries || entries.length === 0) {
+    return {
+      avgDailyMinutes: 0,
+      lateNightFrequency: 0,
+      riskScore: 0,
+      honestyScore: 100,
+      totalMinutes: 0,
+      daysActive: 0
+    };
+  }
+
+  // Group by date
+  const dateMap = new Map();
+  entries.forEach(entry => {
+    const dateKey = entry.date;
+    if (!dateMap.has(dateKey)) {
+      dateMap.set(dateKey, []);
+    }
+    dateMap.get(dateKey).push(entry);
+  });
+
+  // Calculate daily averages
+  const dailyTotals = Array.from(dateMap.values()).map(dayEntries => {
+    return dayEntries.reduce((sum, e) => sum + parseFloat(e.minutesSpent || 0), 0);
+  });
+
+  const totalMinutes = dailyTotals.reduce((sum, val) => sum + val, 0);
+  const avgDailyMinutes = totalMinutes / dateMap.size;
+  const daysActive = dateMap.size;
+
+  // Calculate late-night frequency (after 10 PM or before 6 AM)
+  // isLateNight is derived server-side from when the usage started; untimed entries are skipped
+  const timedEntries = entries.filter(entry => entry.isLateNight !== null && entry.isLateNight !== undefined);
+  const lateNightCount = timedEntries.filter(entry => entry.isLateNight).length;
+  const lateNightFrequency = timedEntries.length > 0 ? lateNightCount / timedEntries.length : 0;
+
+  // Same risk model as the Dashboard
+  const risk = calculateRiskScore(entries);
+
+  // Same honesty score as the Dashboard
+  const honestyScore = calculateDigitalHonestyScore(entries);
+
+  return {
+    avgDailyMinutes: Math.round(avgDailyMinutes * 100) / 100,
+    lateNightFrequency: Math.round(lateNightFrequency * 100) / 100,
+    riskScore: risk.score,
+    riskModelVersion: risk.modelVersion,
+    honestyScore,
+    totalMinutes: Math.round(totalMinutes * 100) / 100,
+    daysActive
+  };
+};
@@ -0,0 +1,208 @@
+/**
+ * Digital Honesty Score
+ * Shared by the backend (honesty endpoint, Future Regret) and the frontend
+ * (Before/After tracking) so every page scores logging the same way
+ *
+ * Estimates how consistently and realistically usage is being logged.
+ * Starts at 100 and loses points for large gaps between entries, unrealistic
+ * entries and sudden spikes. Every deduction is returned as a penalty, so the
+ * score can be explained entry by entry.
+ */
+
+export const HONESTY_RULES = {
+  // Gaps longer than this many days cost pointsPerDay for each extra day, up to maxPoints per gap
+  gap: { maxDays: 7, pointsPerDay: 5, maxPoints: 30 },
+  // Entries over 16 hours cost points each
+  unrealistic: { maxMinutes: 960, points: 10 },
+  // Entries over multiplier x the average of the same app's previous `window` entries
+  // cost points each. Apps with fewer earlier entries use the ones they have, with
+  // the higher shortHistoryMultiplier. The score and the warnings shown when an
+  // entry is saved share this baseline (see spikeBaseline).
+  spike: { window: 3, multiplier: 3, shortHistoryMultiplier: 5, points: 5 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => String(date).slice(0, 10);
+
+const dayNumber = (dateKey) => Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS;
+
+const minutesOf = (entry) => parseFloat(entry.minutesSpent) || 0;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Penalties for gaps between consecutive logged days
+ * @param {Array} entries - Entries sorted by date
+ * @returns {Array} Gap penalties
+ */
+const findGaps = (entries) => {
+  const { maxDays, pointsPerDay, maxPoints } = HONESTY_RULES.gap;
+  const penalties = [];
+
+  for (let i = 1; i < entries.length; i++) {
+    const from = toDateKey(entries[i - 1].date);
+    const to = toDateKey(entries[i].date);
+    const days = Math.floor(dayNumber(to) - dayNumber(from));
+
+    if (days > maxDays) {
+      const points = Math.min(maxPoints, (days - maxDays) * pointsPerDay);
+      penalties.push({
+        type: 'gap',
+        from,
+        to,
+        days,
+        points,
+        message: `${days} days between entries on ${from} and ${to} (more than ${maxDays})`
+      });
+    }
+  }
+
+  return penalties;
+};
+
+/**
+ * Penalties for entries too long to be a real day's usage
+ * @param {Array} entries - Entries sorted by date
+ * @returns {Array} Unrealistic entry penalties
+ */
+const findUnrealisticEntries = (entries) => {
+  const { maxMinutes, points } = HONESTY_RULES.unrealistic;
+
+  return entries
+    .filter(entry => minutesOf(entry) > maxMinutes)
+    .map(entry => ({
+      type: 'unrealistic',
+      date: toDateKey(entry.date),
+      appName: entry.appName,
+      minutes: minutesOf(entry),
+      points,
+      message: `${entry.appName} on ${toDateKey(entry.date)}: ${minutesOf(entry)} minutes is over ${maxMinutes / 60} hours`
+    }));
+};
+
+/**
+ * Spike baseline for an entry: the average of the same app's most recent entries
+ * @param {Array} previousEntries - The app's earlier entries, oldest first
+ * @returns {Object|null} { minutes, size, threshold }, or null without earlier entries
+ */
+const spikeBaseline = (previousEntries) => {
+  const { window, multiplier, shortHistoryMultiplier } = HONESTY_RULES.spike;
+  const recent = previousEntries.slice(-window);
+  if (recent.length === 0) return null;
+
+  return {
+    minutes: recent.reduce((sum, entry) => sum + minutesOf(entry), 0) / recent.length,
+    size: recent.length,
+    threshold: recent.length >= window ? multiplier : shortHistoryMultiplier
+  };
+};
+
+/**
+ * Penalties for entries far above the same app's entries just before them
+ * @param {Array} entries - Entries sorted by date
+ * @returns {Array} Spike penalties
+ */
+const findSpikes = (entries) => {
+  const { points } = HONESTY_RULES.spike;
+  const historyByApp = new Map();
+  const penalties = [];
+
+  entries.forEach(entry => {
+    const appKey = String(entry.appName).toLowerCase();
+    const history = historyByApp.get(appKey) || [];
+    const baseline = spikeBaseline(history);
+    const minutes = minutesOf(entry);
+
+    if (baseline && baseline.minutes > 0 && minutes > baseline.minutes * baseline.threshold) {
+      const date = toDateKey(entry.date);
+      penalties.push({
+        type: 'spike',
+        date,
+        appName: entry.appName,
+        minutes,
+        baselineMinutes: round(baseline.minutes),
+        points,
+        message: `${entry.appName} on ${date}: ${minutes} minutes is more than ${baseline.threshold}x the ` +
+          `${baseline.size === 1 ? `previous ${entry.appName} entry` : `average of the previous ${baseline.size} ${entry.appName} entries`} ` +
+          `(${round(baseline.minutes)} minutes)`
+      });
+    }
+
+    historyByApp.set(appKey, [...history, entry]);
+  });
+
+  return penalties;
+};
+
+/**
+ * Check one entry against the unrealistic and spike rules before it is saved
+ * Uses the same spike baseline as the score, so a warning here means the entry
+ * would also cost spike points
+ * @param {Object} entry - Entry with { appName, minutesSpent }
+ * @param {Array} previousEntries - The app's earlier entries, oldest first
+ * @returns {Array} Warnings as { type, minutes, baselineMinutes, ratio, message }
+ */
+export const findEntryAnomalies = (entry, previousEntries = []) => {
+  const { maxMinutes } = HONESTY_RULES.unrealistic;
+  const minutes = minutesOf(entry);
+  const warnings = [];
+
+  if (minutes > maxMinutes) {
+    warnings.push({
+      type: 'unrealistic',
+      minutes,
+      message: `${minutes} minutes of ${entry.appName} is over ${maxMinutes / 60} hours in one day — is that right?`
+    });
+  }
+
+  const baseline = spikeBaseline(previousEntries);
+  if (baseline && baseline.minutes > 0 && minutes > baseline.minutes * baseline.threshold) {
+    const ratio = Math.round((minutes / baseline.minutes) * 10) / 10;
+    warnings.push({
+      type: 'spike',
+      minutes,
+      baselineMinutes: round(baseline.minutes),
+      ratio,
+      message: `This is ${ratio}x your usual ${entry.appName} time (${round(baseline.minutes)} minutes) — is that right?`
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Score usage entries and explain every deduction
+ * @param {Array} entries - Usage entries with { appName, minutesSpent, date }
+ * @returns {Object} { score, penaltyPoints, penalties, entryCount }
+ */
+export const analyzeDigitalHonesty = (entries) => {
+  // Nothing (or a single entry) to be inconsistent about
+  if (!entries || entries.length < 2) {
+    return { score: 100, penaltyPoints: 0, penalties: [], entryCount: entries ? entries.length : 0 };
+  }
+
+  // Stable sort, so entries on the same day keep the order they came in
+  const sortedEntries = [...entries].sort((a, b) => dayNumber(toDateKey(a.date)) - dayNumber(toDateKey(b.date)));
+
+  const penalties = [
+    ...findGaps(sortedEntries),
+    ...findUnrealisticEntries(sortedEntries),
+    ...findSpikes(sortedEntries)
+  ];
+  const penaltyPoints = penalties.reduce((sum, penalty) => sum + penalty.points, 0);
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(100 - penaltyPoints))),
+    penaltyPoints,
+    penalties,
+    entryCount: entries.length
+  };
+};
+
+/**
+ * Calculates the Digital Honesty Score based on usage entry patterns
+ * @param {Array} entries - Usage entries with { appName, minutesSpent, date }
+ * @returns {number} Score between 0-100
+ */
+export const calculateDigitalHonestyScore = (entries) => analyzeDigitalHonesty(entries).score;
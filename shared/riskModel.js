@@ -0,0 +1,399 @@
+/**
+ * Behavioral Risk Model
+ * Shared by the backend (Dashboard, risk-score endpoint) and the frontend
+ * (Before/After tracking) so every page scores usage the same way
+ *
+ * This is a BEHAVIORAL INDICATOR, not a medical diagnosis.
+ *
+ * Each model version fixes its factors, thresholds and category cut-offs.
+ * Change the numbers by adding a new version rather than editing an old one,
+ * so stored scores can always be traced back to the model that produced them.
+ */
+
+import { detectTrend } from './trend.js';
+
+/**
+ * Model versions
+ *
+ * Band factors map a raw value onto points with piecewise-linear bands:
+ * a value in [min, max) earns fromPoints..toPoints, interpolated.
+ * Choice factors map a categorical value straight to points.
+ */
+export const RISK_MODELS = {
+  '1.0.0': {
+    version: '1.0.0',
+    factors: [
+      {
+        key: 'averageDaily',
+        label: 'Average daily usage',
+        unit: 'minutes',
+        maxPoints: 40,
+        bands: [
+          { min: 0, max: 60, fromPoints: 0, toPoints: 10, label: 'Under 1 hour' },
+          { min: 60, max: 120, fromPoints: 10, toPoints: 20, label: '1-2 hours' },
+          { min: 120, max: 240, fromPoints: 20, toPoints: 30, label: '2-4 hours' },
+          { min: 240, max: 360, fromPoints: 30, toPoints: 35, label: '4-6 hours' },
+          { min: 360, max: Infinity, fromPoints: 40, toPoints: 40, label: '6+ hours' }
+        ]
+      },
+      {
+        key: 'peakDay',
+        label: 'Peak usage day',
+        unit: 'minutes',
+        maxPoints: 20,
+        bands: [
+          { min: 0, max: 120, fromPoints: 0, toPoints: 5, label: 'Under 2 hours' },
+          { min: 120, max: 240, fromPoints: 10, toPoints: 15, label: '2-4 hours' },
+          { min: 240, max: 360, fromPoints: 15, toPoints: 20, label: '4-6 hours' },
+          { min: 360, max: Infinity, fromPoints: 20, toPoints: 20, label: '6+ hours' }
+        ]
+      },
+      {
+        key: 'consistency',
+        label: 'Days active this week',
+        unit: 'days',
+        maxPoints: 20,
+        bands: [
+          { min: 0, max: 7, fromPoints: 0, toPoints: 20, label: 'Some days' },
+          { min: 7, max: Infinity, fromPoints: 20, toPoints: 20, label: 'Every day' }
+        ]
+      },
+      {
+        key: 'trend',
+        label: 'Usage trend',
+        unit: 'trend',
+        maxPoints: 20,
+        choices: {
+          decreasing: { points: 5, label: 'Decreasing' },
+          stable: { points: 10, label: 'Stable' },
+          increasing: { points: 20, label: 'Increasing' }
+        }
+      }
+    ],
+    // Lowest score for each category, highest first
+    categories: [
+      { level: 'high', category: 'High', minScore: 70 },
+      { level: 'moderate', category: 'Moderate', minScore: 40 },
+      { level: 'low', category: 'Low', minScore: 0 }
+    ],
+    // A trend needs this many active days, and a change of more than this ratio
+    // (second half of the active days against the first half)
+    trend: { minDays: 4, threshold: 0.1 }
+  },
+
+  // 1.1.0: the trend is a fitted slope with a confidence test (see trend.js),
+  // and too few logged days score as "not enough data" instead of stable
+  '1.1.0': {
+    version: '1.1.0',
+    factors: [
+      {
+        key: 'averageDaily',
+        label: 'Average daily usage',
+        unit: 'minutes',
+        maxPoints: 40,
+        bands: [
+          { min: 0, max: 60, fromPoints: 0, toPoints: 10, label: 'Under 1 hour' },
+          { min: 60, max: 120, fromPoints: 10, toPoints: 20, label: '1-2 hours' },
+          { min: 120, max: 240, fromPoints: 20, toPoints: 30, label: '2-4 hours' },
+          { min: 240, max: 360, fromPoints: 30, toPoints: 35, label: '4-6 hours' },
+          { min: 360, max: Infinity, fromPoints: 40, toPoints: 40, label: '6+ hours' }
+        ]
+      },
+      {
+        key: 'peakDay',
+        label: 'Peak usage day',
+        unit: 'minutes',
+        maxPoints: 20,
+        bands: [
+          { min: 0, max: 120, fromPoints: 0, toPoints: 5, label: 'Under 2 hours' },
+          { min: 120, max: 240, fromPoints: 10, toPoints: 15, label: '2-4 hours' },
+          { min: 240, max: 360, fromPoints: 15, toPoints: 20, label: '4-6 hours' },
+          { min: 360, max: Infinity, fromPoints: 20, toPoints: 20, label: '6+ hours' }
+        ]
+      },
+      {
+        key: 'consistency',
+        label: 'Days active this week',
+        unit: 'days',
+        maxPoints: 20,
+        bands: [
+          { min: 0, max: 7, fromPoints: 0, toPoints: 20, label: 'Some days' },
+          { min: 7, max: Infinity, fromPoints: 20, toPoints: 20, label: 'Every day' }
+        ]
+      },
+      {
+        key: 'trend',
+        label: 'Usage trend',
+        unit: 'trend',
+        maxPoints: 20,
+        choices: {
+          decreasing: { points: 5, label: 'Decreasing' },
+          stable: { points: 10, label: 'Stable' },
+          increasing: { points: 20, label: 'Increasing' },
+          // Scored like stable; logging fewer days is never suggested as a way to lower the score
+          'insufficient-data': { points: 10, label: 'Not enough data', suggestable: false }
+        }
+      }
+    ],
+    categories: [
+      { level: 'high', category: 'High', minScore: 70 },
+      { level: 'moderate', category: 'Moderate', minScore: 40 },
+      { level: 'low', category: 'Low', minScore: 0 }
+    ],
+    // Slope fitted over the logged days, needing this many days, a fitted change of
+    // more than this ratio and this much confidence
+    trend: { method: 'regression', minDays: 4, threshold: 0.1, minConfidence: 0.8 }
+  }
+};
+
+export const CURRENT_RISK_MODEL_VERSION = '1.1.0';
+
+/**
+ * Look up a model version
+ * @param {String} version - Model version (defaults to the current one)
+ * @returns {Object} Model configuration
+ */
+export const getRiskModel = (version = CURRENT_RISK_MODEL_VERSION) => {
+  const model = RISK_MODELS[version];
+  if (!model) {
+    throw new Error(`Unknown risk model version: ${version}`);
+  }
+  return model;
+};
+
+/**
+ * Summarize logs into the values the risk model scores
+ * Logs may carry a Date or a YYYY-MM-DD string as `date`
+ * How the trend is found depends on the model version (model.trend.method)
+ * @param {Array} logs - Usage logs with { date, minutesSpent }
+ * @param {Object} model - Model configuration
+ * @returns {Object} { averageDaily, peakDay, consistency, trend }
+ */
+export const calculateRiskMetrics = (logs, model = getRiskModel()) => {
+  const dateMap = new Map();
+  (logs || []).forEach(log => {
+    const dateKey = new Date(log.date).toISOString().split('T')[0];
+    const existing = dateMap.get(dateKey) || 0;
+    dateMap.set(dateKey, existing + (parseFloat(log.minutesSpent) || 0));
+  });
+
+  // Oldest day first; model 1.0.0 compares the earlier half of the active days with the later half
+  const dailyTotals = Array.from(dateMap.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([, minutes]) => minutes);
+
+  const totalMinutes = dailyTotals.reduce((sum, minutes) => sum + minutes, 0);
+
+  let trend = 'stable';
+  if (model.trend.method === 'regression') {
+    trend = detectTrend(
+      Array.from(dateMap.entries()).map(([date, minutes]) => ({ date, minutes })),
+      model.trend
+    ).direction;
+  } else if (dailyTotals.length >= model.trend.minDays) {
+    const midpoint = Math.floor(dailyTotals.length / 2);
+    const firstHalf = dailyTotals.slice(0, midpoint).reduce((a, b) => a + b, 0) / midpoint;
+    const secondHalf = dailyTotals.slice(midpoint).reduce((a, b) => a + b, 0) / (dailyTotals.length - midpoint);
+
+    if (secondHalf > firstHalf * (1 + model.trend.threshold)) trend = 'increasing';
+    else if (secondHalf < firstHalf * (1 - model.trend.threshold)) trend = 'decreasing';
+  }
+
+  return {
+    averageDaily: Math.round((totalMinutes / Math.max(1, dateMap.size)) * 100) / 100,
+    peakDay: Math.round(Math.max(...dailyTotals, 0) * 100) / 100,
+    consistency: dateMap.size,
+    trend
+  };
+};
+
+/**
+ * Points a factor earns for a value
+ * @param {Object} factor - Factor configuration
+ * @param {Number|String} value - Raw value
+ * @returns {Number} Points (unrounded)
+ */
+export const scoreFactor = (factor, value) => {
+  if (factor.choices) {
+    return factor.choices[value]?.points ?? 0;
+  }
+
+  const band = factor.bands.find(candidate => value >= candidate.min && value < candidate.max)
+    || factor.bands[factor.bands.length - 1];
+
+  if (band.max === Infinity) {
+    return band.toPoints;
+  }
+
+  const progress = (value - band.min) / (band.max - band.min);
+  return band.fromPoints + progress * (band.toPoints - band.fromPoints);
+};
+
+/**
+ * Threshold band (or choice) a value falls in
+ * @param {Object} factor - Factor configuration
+ * @param {Number|String} value - Raw value
+ * @returns {Object} { label, min, max } (min/max are omitted for choice factors)
+ */
+export const findFactorBand = (factor, value) => {
+  if (factor.choices) {
+    return { label: factor.choices[value]?.label ?? String(value) };
+  }
+
+  const band = factor.bands.find(candidate => value >= candidate.min && value < candidate.max)
+    || factor.bands[factor.bands.length - 1];
+
+  return {
+    label: band.label,
+    min: band.min,
+    max: band.max === Infinity ? null : band.max
+  };
+};
+
+/**
+ * Category for a score
+ * @param {Number} score - Score (0-100)
+ * @param {Object} model - Model configuration
+ * @returns {Object} { level, category, minScore }
+ */
+export const categorizeRiskScore = (score, model = getRiskModel()) => {
+  return model.categories.find(category => score >= category.minScore);
+};
+
+/**
+ * Score risk metrics with a model
+ * @param {Object} metrics - Result of calculateRiskMetrics
+ * @param {Object} model - Model configuration
+ * @returns {Object} Score, category, model version and per-factor breakdown
+ */
+export const scoreRiskMetrics = (metrics, model = getRiskModel()) => {
+  const factors = model.factors.map(factor => {
+    const value = metrics[factor.key];
+    const points = scoreFactor(factor, value);
+    return {
+      key: factor.key,
+      label: factor.label,
+      unit: factor.unit,
+      value,
+      points: Math.round(points * 10) / 10,
+      maxPoints: factor.maxPoints,
+      band: findFactorBand(factor, value)
+    };
+  });
+
+  const rawScore = model.factors.reduce((sum, factor) => sum + scoreFactor(factor, metrics[factor.key]), 0);
+  const score = Math.max(0, Math.min(100, Math.round(rawScore)));
+  const { level, category } = categorizeRiskScore(score, model);
+
+  return {
+    score,
+    category,
+    level,
+    modelVersion: model.version,
+    factors
+  };
+};
+
+/**
+ * Calculate the risk score for a week of logs
+ * @param {Array} logs - Usage logs for the scored week
+ * @param {String} version - Model version (defaults to the current one)
+ * @returns {Object} Score, category, level, model version and per-factor breakdown
+ */
+export const calculateRiskScore = (logs, version = CURRENT_RISK_MODEL_VERSION) => {
+  const model = getRiskModel(version);
+
+  if (!logs || logs.length === 0) {
+    return {
+      score: 0,
+      category: 'Low',
+      level: 'low',
+      modelVersion: model.version,
+      factors: []
+    };
+  }
+
+  return scoreRiskMetrics(calculateRiskMetrics(logs, model), model);
+};
+
+/**
+ * Largest value (searching down from the current one) that earns fewer than targetPoints
+ * Band factors never lose points as their value grows, so a binary search is enough
+ * @param {Object} factor - Band factor configuration
+ * @param {Number} value - Current value
+ * @param {Number} targetPoints - Points the factor must stay under
+ * @returns {Number|null} Whole-number value, or null if even 0 earns too many points
+ */
+const findValueBelowPoints = (factor, value, targetPoints) => {
+  if (scoreFactor(factor, 0) >= targetPoints) return null;
+
+  let low = 0;
+  let high = Math.floor(value);
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (scoreFactor(factor, mid) < targetPoints) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/**
+ * Work out how much each factor alone would need to change to drop one category
+ * Other factors are held at their current values
+ * @param {Object} metrics - Result of calculateRiskMetrics
+ * @param {Object} model - Model configuration
+ * @returns {Object} Target category, points to lose and a per-factor change
+ */
+export const calculateRiskReductions = (metrics, model = getRiskModel()) => {
+  const rawScore = model.factors.reduce((sum, factor) => sum + scoreFactor(factor, metrics[factor.key]), 0);
+  const score = Math.max(0, Math.min(100, Math.round(rawScore)));
+  const current = categorizeRiskScore(score, model);
+  const lower = model.categories[model.categories.indexOf(current) + 1];
+
+  if (!lower) {
+    return {
+      currentLevel: current.level,
+      targetLevel: null,
+      targetCategory: null,
+      targetScore: null,
+      pointsToLose: 0,
+      factors: []
+    };
+  }
+
+  // The rounded score must fall below the current category's minimum
+  const pointsToLose = rawScore - (current.minScore - 0.5);
+
+  const factors = model.factors.map(factor => {
+    const value = metrics[factor.key];
+    const targetPoints = scoreFactor(factor, value) - pointsToLose;
+    const base = { key: factor.key, label: factor.label, unit: factor.unit, currentValue: value };
+
+    if (factor.choices) {
+      // The qualifying choice closest to the current one
+      const [choice] = Object.entries(factor.choices)
+        .filter(([, option]) => option.points < targetPoints && option.suggestable !== false)
+        .sort((a, b) => b[1].points - a[1].points);
+
+      const currentLabel = factor.choices[value]?.label ?? String(value);
+      return choice
+        ? { ...base, currentLabel, achievable: true, targetValue: choice[0], targetLabel: choice[1].label }
+        : { ...base, currentLabel, achievable: false, targetValue: null };
+    }
+
+    const targetValue = findValueBelowPoints(factor, value, targetPoints);
+
+    return targetValue === null
+      ? { ...base, achievable: false, targetValue: null }
+      : { ...base, achievable: true, targetValue, change: Math.round((targetValue - value) * 100) / 100 };
+  });
+
+  return {
+    currentLevel: current.level,
+    targetLevel: lower.level,
+    targetCategory: lower.category,
+    targetScore: current.minScore - 1,
+    pointsToLose: Math.round(pointsToLose * 10) / 10,
+    factors
+  };
+};
@@ -0,0 +1,201 @@
+/**
+ * Trend Detection
+ * Shared by the backend (weekly stats, per-app analytics) and the risk model
+ *
+ * A trend is a least-squares line through daily totals. Days sit at their real
+ * calendar position, so a gap between logged days keeps its width, and days with
+ * nothing logged are left out rather than counted as zero. The slope is tested
+ * against "no change" (Student's t), so a few noisy days read as stable instead
+ * of as a trend, and too few logged days are reported as insufficient data.
+ */
+
+export const TREND_DIRECTIONS = ['increasing', 'stable', 'decreasing', 'insufficient-data'];
+
+export const DEFAULT_TREND_OPTIONS = {
+  // Days to look back from endDate; null covers the first to the last logged day
+  windowDays: null,
+  // Fewest logged days to fit a trend on (at least 3, so the fit can be tested)
+  minDays: 4,
+  // Fitted change across the window, relative to the average, that counts as a trend
+  threshold: 0.1,
+  // Confidence (0-1) the slope must reach before it counts
+  minConfidence: 0.8
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayNumber = (dateKey) => Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fit a least-squares line through a set of points
+ * @param {Array} points - Points as { x, y }
+ * @returns {Object|null} { slope, intercept }, or null if x never changes
+ */
+export const calculateLinearRegression = (points) => {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  points.forEach(({ x, y }) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+  });
+
+  if (varianceX === 0) return null;
+
+  const slope = covariance / varianceX;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {Number} x - Positive number
+ * @returns {Number} ln(Γ(x))
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((coefficient, index) => {
+    series += coefficient / (x + index + 1);
+  });
+  const base = x + 5.5;
+  return Math.log(2.5066282746310005 * series / x) - base + (x + 0.5) * Math.log(base);
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b), by continued fraction
+ * @param {Number} x - Point in [0, 1]
+ * @param {Number} a - First shape parameter
+ * @param {Number} b - Second shape parameter
+ * @returns {Number} I_x(a, b)
+ */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  // The fraction converges quickly only below this point; use the symmetry otherwise
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - incompleteBeta(1 - x, b, a);
+  }
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+
+  // Modified Lentz's method
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + even * d;
+    c = 1 + even / c;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = Math.abs(c) < tiny ? tiny : c;
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + odd * d;
+    c = 1 + odd / c;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 1e-10) break;
+  }
+
+  return front * result;
+};
+
+/**
+ * Confidence that a slope is really different from zero: 1 minus the two-sided
+ * p-value of its t statistic
+ * @param {Number} t - Slope divided by its standard error
+ * @param {Number} degreesOfFreedom - Points minus 2
+ * @returns {Number} Confidence (0-1)
+ */
+const slopeConfidence = (t, degreesOfFreedom) => {
+  const pValue = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+  return 1 - pValue;
+};
+
+/**
+ * Detect the trend in daily usage totals
+ * @param {Array} dailyTotals - Logged days as { date: 'YYYY-MM-DD', minutes }, one per day
+ * @param {Object} options - { endDate, windowDays, minDays, threshold, minConfidence }; endDate
+ *   defaults to the last logged day, the rest to DEFAULT_TREND_OPTIONS
+ * @returns {Object} { direction, slope (minutes/day), relativeChange, confidence, daysUsed, missingDays, windowDays }
+ */
+export const detectTrend = (dailyTotals, options = {}) => {
+  const { windowDays, minDays, threshold, minConfidence } = { ...DEFAULT_TREND_OPTIONS, ...options };
+
+  const days = [...(dailyTotals || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const endDate = options.endDate || days[days.length - 1]?.date;
+
+  const insufficient = (daysUsed, missingDays, span) => ({
+    direction: 'insufficient-data',
+    slope: null,
+    relativeChange: null,
+    confidence: null,
+    daysUsed,
+    missingDays,
+    windowDays: span
+  });
+
+  if (!endDate) return insufficient(0, windowDays || 0, windowDays || 0);
+
+  const lastDay = dayNumber(endDate);
+  const firstDay = windowDays ? lastDay - windowDays + 1 : dayNumber(days[0].date);
+  const span = lastDay - firstDay + 1;
+
+  const points = days
+    .map(day => ({ x: dayNumber(day.date) - firstDay, y: day.minutes }))
+    .filter(point => point.x >= 0 && point.x < span);
+  const missingDays = span - points.length;
+
+  if (points.length < Math.max(3, minDays)) {
+    return insufficient(points.length, missingDays, span);
+  }
+
+  const { slope, intercept } = calculateLinearRegression(points);
+  const n = points.length;
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+  const varianceX = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const residuals = points.reduce((sum, point) => sum + (point.y - (intercept + slope * point.x)) ** 2, 0);
+
+  // A perfect fit has no error; any slope it has is certain
+  const standardError = Math.sqrt(residuals / (n - 2) / varianceX);
+  const confidence = standardError > 0
+    ? slopeConfidence(slope / standardError, n - 2)
+    : (slope !== 0 ? 1 : 0);
+
+  const relativeChange = meanY > 0 ? (slope * (span - 1)) / meanY : 0;
+
+  let direction = 'stable';
+  if (confidence >= minConfidence) {
+    if (relativeChange > threshold) direction = 'increasing';
+    else if (relativeChange < -threshold) direction = 'decreasing';
+  }
+
+  return {
+    direction,
+    slope: round(slope),
+    relativeChange: round(relativeChange),
+    confidence: round(confidence),
+    daysUsed: n,
+    missingDays,
+    windowDays: span
+  };
+};